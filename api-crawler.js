@@ -1,8 +1,8 @@
 import fs from 'fs-extra';
 import path from 'path';
-import fetch from 'node-fetch';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
+import { createStorefrontClient } from './lib/storefront-client.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
@@ -36,13 +36,109 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: true
   })
+  .option('timeout', {
+    description: 'Timeout per API request in milliseconds',
+    type: 'number',
+    default: 30000
+  })
+  .option('retries', {
+    description: 'Retries for throttled, timed-out and 5xx requests, with exponential backoff',
+    type: 'number',
+    default: 4
+  })
+  .option('delay', {
+    description: 'Minimum delay between API requests in milliseconds; query costs reported by the API slow requests down further',
+    type: 'number',
+    default: 500
+  })
   .help()
   .alias('help', 'h')
   .argv;
 
-// Constants
-const STOREFRONT_API_VERSION = '2023-10';
-const GRAPHQL_URL = `https://${argv.store}/api/${STOREFRONT_API_VERSION}/graphql.json`;
+// One client for the whole run, so pacing and the query-cost budget are shared
+const client = createStorefrontClient({
+  store: argv.store,
+  accessToken: argv.access_token,
+  timeout: argv.timeout,
+  retries: argv.retries,
+  minInterval: argv.delay
+});
+
+// Fields read for each variant, image and media item, shared by the product queries and
+// the follow-up queries for products with more than the first page of them
+const PRODUCT_FRAGMENTS = {
+  variants: `
+  fragment VariantFields on ProductVariant {
+    id
+    title
+    quantityAvailable
+    availableForSale
+    requiresShipping
+    selectedOptions {
+      name
+      value
+    }
+    compareAtPrice {
+      amount
+      currencyCode
+    }
+    price {
+      amount
+      currencyCode
+    }
+    sku
+    image {
+      url
+      altText
+      width
+      height
+    }
+  }
+  `,
+  images: `
+  fragment ImageFields on Image {
+    url
+    altText
+    width
+    height
+  }
+  `,
+  media: `
+  fragment MediaFields on Media {
+    mediaContentType
+    alt
+    previewImage {
+      url
+    }
+    ... on MediaImage {
+      image {
+        url
+        width
+        height
+      }
+    }
+    ... on Video {
+      sources {
+        url
+        mimeType
+      }
+    }
+    ... on ExternalVideo {
+      embedUrl
+    }
+    ... on Model3d {
+      sources {
+        url
+        mimeType
+      }
+    }
+  }
+  `
+};
+
+// Products whose variants, images or media didn't fit in the first page; each one is
+// paged through with follow-up queries, and `incomplete` counts those that still failed
+const truncationWarnings = { variants: 0, images: 0, media: 0, incomplete: 0 };
 
 /**
  * Function to save crawling progress
@@ -58,37 +154,139 @@ async function saveProgress(data, filename) {
 }
 
 /**
- * Execute a GraphQL query against the Shopify Storefront API
+ * Execute a GraphQL query against the Shopify Storefront API. Transient failures are
+ * retried and requests paced by the client; what still fails is thrown.
  */
 async function executeQuery(query, variables = {}) {
   try {
-    const response = await fetch(GRAPHQL_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Storefront-Access-Token': argv.access_token
-      },
-      body: JSON.stringify({ query, variables })
-    });
-
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`API request failed: ${response.status} ${response.statusText} - ${text}`);
-    }
+    return await client.query(query, variables);
+  } catch (error) {
+    console.error(`Query execution failed: ${error.message}`);
+    throw error;
+  }
+}
 
-    const data = await response.json();
+/**
+ * Page through the rest of a product's variants, images or media when the product query
+ * only returned the first page, appending them to the product's connection in place
+ */
+async function completeProductConnections(product) {
+  for (const [connection, fragment] of Object.entries(PRODUCT_FRAGMENTS)) {
+    const page = product[connection];
+    if (!page || !page.pageInfo || !page.pageInfo.hasNextPage) continue;
+    
+    truncationWarnings[connection]++;
+    console.log(`Warning: product ${product.handle} has more ${connection} than the first page (${page.edges.length}), fetching the rest`);
     
-    if (data.errors && data.errors.length > 0) {
-      throw new Error(`GraphQL error: ${data.errors.map(e => e.message).join(', ')}`);
+    const fragmentName = fragment.match(/fragment (\w+)/)[1];
+    const connectionQuery = `
+  query GetProduct${connection[0].toUpperCase()}${connection.slice(1)}($id: ID!, $after: String) {
+    product(id: $id) {
+      ${connection}(first: 250, after: $after) {
+        edges {
+          node {
+            ...${fragmentName}
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
     }
+  }
+  ${fragment}`;
     
-    return data.data;
-  } catch (error) {
-    console.error(`Query execution failed: ${error.message}`);
-    throw error;
+    let pageInfo = page.pageInfo;
+    try {
+      while (pageInfo.hasNextPage) {
+        const data = await executeQuery(connectionQuery, { id: product.id, after: pageInfo.endCursor });
+        const next = data.product[connection];
+        page.edges.push(...next.edges);
+        pageInfo = next.pageInfo;
+      }
+      console.log(`Fetched all ${page.edges.length} ${connection} for product ${product.handle}`);
+    } catch (error) {
+      truncationWarnings.incomplete++;
+      console.log(`Warning: keeping the first ${page.edges.length} ${connection} of product ${product.handle}: ${error.message}`);
+    }
+    page.pageInfo = pageInfo;
   }
 }
 
+/**
+ * Media as {type, alt, url, previewImage}: the image URL, the first video or 3D model
+ * source, or the embed URL of an external video
+ */
+function transformMedia(media) {
+  return media.edges.map(({ node }) => ({
+    type: node.mediaContentType,
+    alt: node.alt || null,
+    url: (node.image && node.image.url) || (node.sources && node.sources[0] && node.sources[0].url) || node.embedUrl || null,
+    previewImage: node.previewImage ? node.previewImage.url : null
+  }));
+}
+
+/**
+ * Transform a product node from the Storefront API into the crawler's product shape
+ */
+function transformProduct(product) {
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle,
+    url: `https://${argv.store}/products/${product.handle}`,
+    description: product.description,
+    descriptionHtml: product.descriptionHtml,
+    productType: product.productType,
+    vendor: product.vendor,
+    tags: product.tags,
+    options: product.options,
+    createdAt: product.createdAt,
+    publishedAt: product.publishedAt,
+    updatedAt: product.updatedAt,
+    price: parseFloat(product.priceRange.minVariantPrice.amount),
+    currency: product.priceRange.minVariantPrice.currencyCode || null,
+    compareAtPrice: product.compareAtPriceRange.maxVariantPrice.amount !== '0.0' 
+      ? parseFloat(product.compareAtPriceRange.maxVariantPrice.amount)
+      : null,
+    onSale: product.compareAtPriceRange.maxVariantPrice.amount !== '0.0' &&
+           parseFloat(product.compareAtPriceRange.maxVariantPrice.amount) > parseFloat(product.priceRange.minVariantPrice.amount),
+    variants: product.variants.edges.map(variantEdge => {
+      const variant = variantEdge.node;
+      return {
+        id: variant.id,
+        title: variant.title,
+        availableForSale: variant.availableForSale,
+        quantityAvailable: variant.quantityAvailable,
+        sku: variant.sku,
+        price: parseFloat(variant.price.amount),
+        compareAtPrice: variant.compareAtPrice ? parseFloat(variant.compareAtPrice.amount) : null,
+        options: variant.selectedOptions.map(option => ({
+          name: option.name,
+          value: option.value
+        })),
+        image: variant.image ? {
+          url: variant.image.url,
+          altText: variant.image.altText,
+          width: variant.image.width,
+          height: variant.image.height
+        } : null
+      };
+    }),
+    images: product.images.edges.map(imageEdge => {
+      const image = imageEdge.node;
+      return {
+        url: image.url,
+        altText: image.altText,
+        width: image.width,
+        height: image.height
+      };
+    }),
+    media: transformMedia(product.media)
+  };
+}
+
 /**
  * Get all collections from the shop
  */
@@ -140,12 +338,8 @@ async function getCollections() {
       cursor = data.collections.pageInfo.endCursor;
       
       console.log(`Fetched ${collections.length} collections, total: ${allCollections.length}`);
-      
-      if (hasNextPage) {
-        // Add a small delay between requests
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
     } catch (error) {
+      // Retries are exhausted; crawl the collections found so far
       console.error(`Error fetching collections: ${error.message}`);
       break;
     }
@@ -160,7 +354,9 @@ async function getCollections() {
 }
 
 /**
- * Get products for a specific collection
+ * Get products for a specific collection, as product nodes straight from the API (see
+ * transformProduct). Returns {products, error}; error is set when the collection could
+ * only be crawled partway.
  */
 async function getProductsByCollection(collectionHandle, limit = 50) {
   console.log(`Fetching products for collection: ${collectionHandle}`);
@@ -191,42 +387,35 @@ async function getProductsByCollection(collectionHandle, limit = 50) {
             variants(first: 250) {
               edges {
                 node {
-                  id
-                  title
-                  quantityAvailable
-                  availableForSale
-                  requiresShipping
-                  selectedOptions {
-                    name
-                    value
-                  }
-                  compareAtPrice {
-                    amount
-                    currencyCode
-                  }
-                  price {
-                    amount
-                    currencyCode
-                  }
-                  sku
-                  image {
-                    url
-                    altText
-                    width
-                    height
-                  }
+                  ...VariantFields
                 }
               }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
             }
             images(first: 20) {
               edges {
                 node {
-                  url
-                  altText
-                  width
-                  height
+                  ...ImageFields
                 }
               }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+            media(first: 20) {
+              edges {
+                node {
+                  ...MediaFields
+                }
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
             }
             priceRange {
               minVariantPrice {
@@ -257,7 +446,7 @@ async function getProductsByCollection(collectionHandle, limit = 50) {
       }
     }
   }
-  `;
+  ${Object.values(PRODUCT_FRAGMENTS).join('')}`;
   
   let allProducts = [];
   let hasNextPage = true;
@@ -279,84 +468,22 @@ async function getProductsByCollection(collectionHandle, limit = 50) {
         break;
       }
       
-      const products = data.collection.products.edges.map(edge => {
-        const product = edge.node;
-        
-        // Transform the data to match our schema
-        return {
-          id: product.id,
-          title: product.title,
-          handle: product.handle,
-          url: `https://${argv.store}/products/${product.handle}`,
-          description: product.description,
-          descriptionHtml: product.descriptionHtml,
-          productType: product.productType,
-          vendor: product.vendor,
-          tags: product.tags,
-          options: product.options,
-          createdAt: product.createdAt,
-          publishedAt: product.publishedAt,
-          updatedAt: product.updatedAt,
-          price: parseFloat(product.priceRange.minVariantPrice.amount),
-          compareAtPrice: product.compareAtPriceRange.maxVariantPrice.amount !== '0.0' 
-            ? parseFloat(product.compareAtPriceRange.maxVariantPrice.amount)
-            : null,
-          onSale: product.compareAtPriceRange.maxVariantPrice.amount !== '0.0' &&
-                 parseFloat(product.compareAtPriceRange.maxVariantPrice.amount) > parseFloat(product.priceRange.minVariantPrice.amount),
-          variants: product.variants.edges.map(variantEdge => {
-            const variant = variantEdge.node;
-            return {
-              id: variant.id,
-              title: variant.title,
-              availableForSale: variant.availableForSale,
-              quantityAvailable: variant.quantityAvailable,
-              sku: variant.sku,
-              price: parseFloat(variant.price.amount),
-              compareAtPrice: variant.compareAtPrice ? parseFloat(variant.compareAtPrice.amount) : null,
-              options: variant.selectedOptions.map(option => ({
-                name: option.name,
-                value: option.value
-              })),
-              image: variant.image ? {
-                url: variant.image.url,
-                altText: variant.image.altText,
-                width: variant.image.width,
-                height: variant.image.height
-              } : null
-            };
-          }),
-          images: product.images.edges.map(imageEdge => {
-            const image = imageEdge.node;
-            return {
-              url: image.url,
-              altText: image.altText,
-              width: image.width,
-              height: image.height
-            };
-          }),
-          collections: [data.collection.title]
-        };
-      });
+      const products = data.collection.products.edges.map(edge => edge.node);
       
-      // Add collection title to products
       allProducts = [...allProducts, ...products];
       
       hasNextPage = data.collection.products.pageInfo.hasNextPage;
       cursor = data.collection.products.pageInfo.endCursor;
       
       console.log(`Fetched ${products.length} products for collection ${collectionHandle}, total: ${allProducts.length}`);
-      
-      if (hasNextPage && allProducts.length < maxProducts) {
-        // Add a small delay between requests
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
     } catch (error) {
+      // Retries are exhausted; keep what this collection returned and move on to the next
       console.error(`Error fetching products for collection ${collectionHandle}: ${error.message}`);
-      break;
+      return { products: allProducts, error: error.message };
     }
   }
   
-  return allProducts;
+  return { products: allProducts, error: null };
 }
 
 /**
@@ -389,42 +516,35 @@ async function getAllProducts(limit = 50) {
           variants(first: 250) {
             edges {
               node {
-                id
-                title
-                quantityAvailable
-                availableForSale
-                requiresShipping
-                selectedOptions {
-                  name
-                  value
-                }
-                compareAtPrice {
-                  amount
-                  currencyCode
-                }
-                price {
-                  amount
-                  currencyCode
-                }
-                sku
-                image {
-                  url
-                  altText
-                  width
-                  height
-                }
+                ...VariantFields
               }
             }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
           }
           images(first: 20) {
             edges {
               node {
-                url
-                altText
-                width
-                height
+                ...ImageFields
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+          media(first: 20) {
+            edges {
+              node {
+                ...MediaFields
               }
             }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
           }
           priceRange {
             minVariantPrice {
@@ -454,7 +574,7 @@ async function getAllProducts(limit = 50) {
       }
     }
   }
-  `;
+  ${Object.values(PRODUCT_FRAGMENTS).join('')}`;
   
   let allProducts = [];
   let hasNextPage = true;
@@ -470,63 +590,12 @@ async function getAllProducts(limit = 50) {
     try {
       const data = await executeQuery(productsQuery, variables);
       
-      const products = data.products.edges.map(edge => {
-        const product = edge.node;
-        
-        // Transform the data to match our schema
-        return {
-          id: product.id,
-          title: product.title,
-          handle: product.handle,
-          url: `https://${argv.store}/products/${product.handle}`,
-          description: product.description,
-          descriptionHtml: product.descriptionHtml,
-          productType: product.productType,
-          vendor: product.vendor,
-          tags: product.tags,
-          options: product.options,
-          createdAt: product.createdAt,
-          publishedAt: product.publishedAt,
-          updatedAt: product.updatedAt,
-          price: parseFloat(product.priceRange.minVariantPrice.amount),
-          compareAtPrice: product.compareAtPriceRange.maxVariantPrice.amount !== '0.0' 
-            ? parseFloat(product.compareAtPriceRange.maxVariantPrice.amount)
-            : null,
-          onSale: product.compareAtPriceRange.maxVariantPrice.amount !== '0.0' &&
-                 parseFloat(product.compareAtPriceRange.maxVariantPrice.amount) > parseFloat(product.priceRange.minVariantPrice.amount),
-          variants: product.variants.edges.map(variantEdge => {
-            const variant = variantEdge.node;
-            return {
-              id: variant.id,
-              title: variant.title,
-              availableForSale: variant.availableForSale,
-              quantityAvailable: variant.quantityAvailable,
-              sku: variant.sku,
-              price: parseFloat(variant.price.amount),
-              compareAtPrice: variant.compareAtPrice ? parseFloat(variant.compareAtPrice.amount) : null,
-              options: variant.selectedOptions.map(option => ({
-                name: option.name,
-                value: option.value
-              })),
-              image: variant.image ? {
-                url: variant.image.url,
-                altText: variant.image.altText,
-                width: variant.image.width,
-                height: variant.image.height
-              } : null
-            };
-          }),
-          images: product.images.edges.map(imageEdge => {
-            const image = imageEdge.node;
-            return {
-              url: image.url,
-              altText: image.altText,
-              width: image.width,
-              height: image.height
-            };
-          })
-        };
-      });
+      // Page through long variant, image and media lists, then transform
+      const products = [];
+      for (const edge of data.products.edges) {
+        await completeProductConnections(edge.node);
+        products.push(transformProduct(edge.node));
+      }
       
       allProducts = [...allProducts, ...products];
       
@@ -534,11 +603,6 @@ async function getAllProducts(limit = 50) {
       cursor = data.products.pageInfo.endCursor;
       
       console.log(`Fetched ${products.length} products, total: ${allProducts.length}`);
-      
-      if (hasNextPage && allProducts.length < maxProducts) {
-        // Add a small delay between requests
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
     } catch (error) {
       console.error(`Error fetching products: ${error.message}`);
       break;
@@ -591,21 +655,25 @@ async function crawlShopifyProductsAPI() {
         console.log(`\nCollection ${index + 1}/${collections.length}: "${collection.title}" (${collection.handle})`);
         
         // Get products for this collection
-        const collectionProducts = await getProductsByCollection(collection.handle, argv.limit);
+        const { products: collectionProducts, error } = await getProductsByCollection(collection.handle, argv.limit);
         
         // Filter out duplicates
         const newProducts = collectionProducts.filter(product => !crawledProducts.has(product.id));
         
-        // Add products to result and mark them as crawled
+        // Page through long variant, image and media lists once per product, then add it to the result
         for (const product of newProducts) {
           crawledProducts.set(product.id, true);
-          result.products.push(product);
+          await completeProductConnections(product);
+          result.products.push({ ...transformProduct(product), collections: [collection.title] });
         }
         
         // Update product count for this collection
         const collectionIndex = result.collections.findIndex(c => c.id === collection.id);
         if (collectionIndex !== -1) {
           result.collections[collectionIndex].crawledProducts = collectionProducts.length;
+          if (error) {
+            result.collections[collectionIndex].error = error;
+          }
         }
         
         console.log(`Added ${newProducts.length} new products from collection "${collection.title}"`);
@@ -630,6 +698,25 @@ async function crawlShopifyProductsAPI() {
     console.log(`\n=== CRAWLING COMPLETED ===`);
     console.log(`Total products: ${result.products.length}`);
     
+    const incomplete = result.collections.filter(c => c.error);
+    if (incomplete.length > 0) {
+      console.log(`${incomplete.length} collections were only crawled partway: ${incomplete.map(c => c.handle).join(', ')}`);
+    }
+    
+    const stats = client.getStats();
+    console.log(`API requests: ${stats.requests} (${stats.retries} retries, ${stats.throttled} throttled, ${stats.failed} failed)`);
+    result.apiStats = stats;
+    
+    // Products that needed follow-up queries for their variants, images or media
+    const { variants, images, media } = truncationWarnings;
+    if (variants + images + media > 0) {
+      console.log(`Warning: paged through the rest of the variants for ${variants} products, images for ${images} and media for ${media}`);
+    }
+    if (truncationWarnings.incomplete > 0) {
+      console.log(`Warning: ${truncationWarnings.incomplete} product connections are still truncated after the follow-up queries failed`);
+    }
+    result.truncationWarnings = truncationWarnings;
+    
     // Final save
     result.completedAt = new Date().toISOString();
     await saveProgress(result, argv.output);
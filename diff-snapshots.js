@@ -0,0 +1,300 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { loadCrawlOutput } from './lib/load-products.js';
+import { normalizeCrawlOutput } from './lib/normalize.js';
+import { formatMoney } from './lib/money.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .option('old', {
+    alias: 'a',
+    description: 'Previous crawl output (JSON file or sitemap_crawler.js category directory)',
+    type: 'string',
+    demandOption: true
+  })
+  .option('new', {
+    alias: 'b',
+    description: 'Current crawl output (JSON file or sitemap_crawler.js category directory)',
+    type: 'string',
+    demandOption: true
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Output directory for the diff report',
+    type: 'string',
+    default: 'processed_data/diff'
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+/**
+ * Reduce an image URL to a comparable key, ignoring the CDN cache-busting query and size suffixes
+ */
+function imageKey(image) {
+  const url = image && image.url;
+  if (!url) return null;
+  return url
+    .split('?')[0]
+    .replace(/^https?:/, '')
+    .replace(/_(\d+x\d*|\d*x\d+|pico|icon|thumb|small|compact|medium|large|grande|original)(_crop_\w+)?_?(?=\.\w+$)/, '');
+}
+
+/**
+ * Normalize description HTML so whitespace-only changes are ignored
+ */
+function normalizeDescription(product) {
+  return product.descriptionHtml.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Key variants by ID (or title when the crawler couldn't find one)
+ */
+function mapVariants(product) {
+  const variants = new Map();
+  for (const variant of product.variants || []) {
+    const key = variant.id !== null ? variant.id : `title:${variant.title}`;
+    variants.set(key, variant);
+  }
+  return variants;
+}
+
+/**
+ * Compare two versions of the same canonical product. Prices are in minor units; when
+ * the currency changed, every variant counts as a price change without a delta.
+ */
+function diffProduct(oldProduct, newProduct) {
+  const currencyChanged = oldProduct.currency !== newProduct.currency;
+  const changes = {
+    handle: newProduct.handle,
+    title: newProduct.title,
+    url: newProduct.url,
+    currency: newProduct.currency,
+    priceChanges: [],
+    availabilityChanges: [],
+    variantsAdded: [],
+    variantsRemoved: [],
+    imagesAdded: [],
+    imagesRemoved: [],
+    descriptionChanged: false
+  };
+
+  const oldVariants = mapVariants(oldProduct);
+  const newVariants = mapVariants(newProduct);
+
+  for (const [key, newVariant] of newVariants) {
+    const oldVariant = oldVariants.get(key);
+
+    if (!oldVariant) {
+      changes.variantsAdded.push({ id: key, title: newVariant.title, price: newVariant.price });
+      continue;
+    }
+
+    const oldPrice = oldVariant.price;
+    const newPrice = newVariant.price;
+    const oldCompareAt = oldVariant.compareAtPrice;
+    const newCompareAt = newVariant.compareAtPrice;
+
+    if (oldPrice !== newPrice || oldCompareAt !== newCompareAt || currencyChanged) {
+      const priceChange = {
+        variantId: key,
+        variantTitle: newVariant.title,
+        oldPrice,
+        newPrice,
+        priceDelta: oldPrice !== null && newPrice !== null && !currencyChanged ? newPrice - oldPrice : null,
+        oldCompareAtPrice: oldCompareAt,
+        newCompareAtPrice: newCompareAt
+      };
+      if (currencyChanged) {
+        priceChange.oldCurrency = oldProduct.currency;
+      }
+      changes.priceChanges.push(priceChange);
+    }
+
+    const wasAvailable = oldVariant.available;
+    const nowAvailable = newVariant.available;
+    if (wasAvailable !== null && nowAvailable !== null && wasAvailable !== nowAvailable) {
+      changes.availabilityChanges.push({
+        variantId: key,
+        variantTitle: newVariant.title,
+        wasAvailable,
+        nowAvailable
+      });
+    }
+  }
+
+  for (const [key, oldVariant] of oldVariants) {
+    if (!newVariants.has(key)) {
+      changes.variantsRemoved.push({ id: key, title: oldVariant.title, price: oldVariant.price });
+    }
+  }
+
+  const oldImages = new Set(oldProduct.images.map(imageKey).filter(Boolean));
+  const newImages = new Set(newProduct.images.map(imageKey).filter(Boolean));
+  changes.imagesAdded = [...newImages].filter(image => !oldImages.has(image));
+  changes.imagesRemoved = [...oldImages].filter(image => !newImages.has(image));
+
+  changes.descriptionChanged = normalizeDescription(oldProduct) !== normalizeDescription(newProduct);
+
+  const hasChanges = changes.priceChanges.length > 0 ||
+    changes.availabilityChanges.length > 0 ||
+    changes.variantsAdded.length > 0 ||
+    changes.variantsRemoved.length > 0 ||
+    changes.imagesAdded.length > 0 ||
+    changes.imagesRemoved.length > 0 ||
+    changes.descriptionChanged;
+
+  return hasChanges ? changes : null;
+}
+
+/**
+ * Compare two canonical crawl outputs; the report names each side by its file and the
+ * crawler that produced it
+ */
+function diffSnapshots(oldData, newData, { oldFile = null, newFile = null } = {}) {
+  const oldProducts = new Map(oldData.products.map(p => [p.handle, p]));
+  const newProducts = new Map(newData.products.map(p => [p.handle, p]));
+
+  const report = {
+    old: { file: oldFile, source: oldData.source, crawledAt: oldData.crawledAt, currency: oldData.currency, totalProducts: oldProducts.size },
+    new: { file: newFile, source: newData.source, crawledAt: newData.crawledAt, currency: newData.currency, totalProducts: newProducts.size },
+    generatedAt: new Date().toISOString(),
+    summary: {},
+    added: [],
+    removed: [],
+    changed: []
+  };
+
+  for (const [handle, newProduct] of newProducts) {
+    const oldProduct = oldProducts.get(handle);
+
+    if (!oldProduct) {
+      report.added.push({ handle, title: newProduct.title, url: newProduct.url, currency: newProduct.currency, price: newProduct.price });
+      continue;
+    }
+
+    const changes = diffProduct(oldProduct, newProduct);
+    if (changes) {
+      report.changed.push(changes);
+    }
+  }
+
+  for (const [handle, oldProduct] of oldProducts) {
+    if (!newProducts.has(handle)) {
+      report.removed.push({ handle, title: oldProduct.title, url: oldProduct.url, currency: oldProduct.currency, price: oldProduct.price });
+    }
+  }
+
+  report.summary = {
+    added: report.added.length,
+    removed: report.removed.length,
+    changed: report.changed.length,
+    priceChanges: report.changed.reduce((sum, c) => sum + c.priceChanges.length, 0),
+    availabilityFlips: report.changed.reduce((sum, c) => sum + c.availabilityChanges.length, 0),
+    nowOutOfStock: report.changed.reduce((sum, c) => sum + c.availabilityChanges.filter(a => !a.nowAvailable).length, 0),
+    backInStock: report.changed.reduce((sum, c) => sum + c.availabilityChanges.filter(a => a.nowAvailable).length, 0),
+    imageChanges: report.changed.filter(c => c.imagesAdded.length > 0 || c.imagesRemoved.length > 0).length,
+    descriptionChanges: report.changed.filter(c => c.descriptionChanged).length
+  };
+
+  return report;
+}
+
+/**
+ * Render the report as a human-readable summary
+ */
+function formatSummary(report) {
+  const lines = [];
+  const s = report.summary;
+
+  lines.push('Crawl snapshot diff');
+  lines.push(`Old: ${report.old.file} (${report.old.source}, ${report.old.crawledAt || 'unknown date'}, ${report.old.totalProducts} products)`);
+  lines.push(`New: ${report.new.file} (${report.new.source}, ${report.new.crawledAt || 'unknown date'}, ${report.new.totalProducts} products)`);
+  lines.push('');
+  lines.push(`Added products:        ${s.added}`);
+  lines.push(`Removed products:      ${s.removed}`);
+  lines.push(`Changed products:      ${s.changed}`);
+  lines.push(`Variant price changes: ${s.priceChanges}`);
+  lines.push(`Availability flips:    ${s.availabilityFlips} (${s.nowOutOfStock} out of stock, ${s.backInStock} back in stock)`);
+  lines.push(`Image changes:         ${s.imageChanges}`);
+  lines.push(`Description changes:   ${s.descriptionChanges}`);
+
+  if (report.added.length > 0) {
+    lines.push('', '== Added ==');
+    report.added.forEach(p => lines.push(`+ ${p.handle} - ${p.title} (${formatMoney(p.price, p.currency)})`));
+  }
+
+  if (report.removed.length > 0) {
+    lines.push('', '== Removed ==');
+    report.removed.forEach(p => lines.push(`- ${p.handle} - ${p.title} (${formatMoney(p.price, p.currency)})`));
+  }
+
+  if (report.changed.length > 0) {
+    lines.push('', '== Changed ==');
+    for (const change of report.changed) {
+      lines.push(`* ${change.handle} - ${change.title}`);
+
+      change.priceChanges.forEach(c => {
+        const oldCurrency = c.oldCurrency !== undefined ? c.oldCurrency : change.currency;
+        let line = `    price [${c.variantTitle}]: ${formatMoney(c.oldPrice, oldCurrency)} -> ${formatMoney(c.newPrice, change.currency)}`;
+        if (c.oldCompareAtPrice !== c.newCompareAtPrice) {
+          line += ` (compare-at ${formatMoney(c.oldCompareAtPrice, oldCurrency)} -> ${formatMoney(c.newCompareAtPrice, change.currency)})`;
+        }
+        lines.push(line);
+      });
+      change.availabilityChanges.forEach(c => {
+        lines.push(`    availability [${c.variantTitle}]: ${c.nowAvailable ? 'back in stock' : 'out of stock'}`);
+      });
+      change.variantsAdded.forEach(v => lines.push(`    variant added: ${v.title}`));
+      change.variantsRemoved.forEach(v => lines.push(`    variant removed: ${v.title}`));
+      if (change.imagesAdded.length > 0 || change.imagesRemoved.length > 0) {
+        lines.push(`    images: +${change.imagesAdded.length} / -${change.imagesRemoved.length}`);
+      }
+      if (change.descriptionChanged) {
+        lines.push('    description changed');
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Diff two crawl outputs and write the JSON report and text summary
+ */
+async function runDiff() {
+  try {
+    console.log(`\n=== DIFFING CRAWL SNAPSHOTS ===`);
+    console.log(`Old: ${argv.old}`);
+    console.log(`New: ${argv.new}`);
+
+    // Compare canonical outputs so prices are integer minor units with their currency
+    const oldData = normalizeCrawlOutput(await loadCrawlOutput(argv.old));
+    const newData = normalizeCrawlOutput(await loadCrawlOutput(argv.new));
+
+    const report = diffSnapshots(oldData, newData, { oldFile: argv.old, newFile: argv.new });
+
+    await fs.ensureDir(argv.output);
+    const reportFile = path.join(argv.output, 'diff_report.json');
+    const summaryFile = path.join(argv.output, 'diff_summary.txt');
+
+    await fs.writeJSON(reportFile, report, { spaces: 2 });
+    await fs.writeFile(summaryFile, formatSummary(report));
+
+    console.log(`\n=== DIFF COMPLETED ===`);
+    console.log(JSON.stringify(report.summary, null, 2));
+    console.log(`Report written to ${reportFile}`);
+    console.log(`Summary written to ${summaryFile}`);
+  } catch (error) {
+    console.error(`Error diffing snapshots: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the diff
+runDiff().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
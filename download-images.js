@@ -0,0 +1,149 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { loadCrawlOutput } from './lib/load-products.js';
+import { imageUrl } from './lib/product-fields.js';
+import { createRateLimiter } from './lib/rate-limiter.js';
+import { openImageMirror, collectImageRefs } from './lib/image-mirror.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .option('input', {
+    alias: 'i',
+    description: 'Crawl output (JSON file or sitemap_crawler.js category directory)',
+    type: 'string',
+    default: 'shopify_products.json'
+  })
+  .option('output-dir', {
+    alias: 'd',
+    description: 'Directory to mirror the images and manifest into',
+    type: 'string',
+    default: 'images'
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Output JSON file with the products pointing at the local copies (defaults to products.json in the output directory)',
+    type: 'string'
+  })
+  .option('rewrite', {
+    description: 'Replace image URLs with local paths instead of adding the local paths next to them',
+    type: 'boolean',
+    default: false
+  })
+  .option('concurrency', {
+    alias: 'c',
+    description: 'Number of parallel downloads',
+    type: 'number',
+    default: 4
+  })
+  .option('rate', {
+    description: 'Maximum requests per second per host (0 for unlimited)',
+    type: 'number',
+    default: 5
+  })
+  .option('timeout', {
+    description: 'Timeout per download in milliseconds',
+    type: 'number',
+    default: 30000
+  })
+  .option('attempts', {
+    description: 'Attempts per image before it is recorded as failed',
+    type: 'number',
+    default: 3
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+/**
+ * Point a product's images at their local copies. Paths are relative to the output JSON,
+ * so the file and the mirror can be moved together. Images that failed to download keep
+ * their URL when rewriting and get a null path when augmenting.
+ */
+function localizeProduct(product, toLocalPath) {
+  if (argv.rewrite) {
+    const rewrite = (image) => {
+      const local = toLocalPath(imageUrl(image));
+      if (!local) return image;
+      if (typeof image === 'string') return local;
+      return image.url ? { ...image, url: local } : { ...image, src: local };
+    };
+
+    return {
+      ...product,
+      images: (product.images || []).map(rewrite),
+      variants: (product.variants || []).map(variant => (variant.image ? { ...variant, image: rewrite(variant.image) } : variant))
+    };
+  }
+
+  return {
+    ...product,
+    localImages: (product.images || []).map(image => toLocalPath(imageUrl(image))),
+    variants: (product.variants || []).map(variant => (variant.image ? { ...variant, localImage: toLocalPath(imageUrl(variant.image)) } : variant))
+  };
+}
+
+/**
+ * Mirror every product and variant image of a crawl to a local directory
+ */
+async function downloadImages() {
+  try {
+    const outputFile = argv.output || path.join(argv['output-dir'], 'products.json');
+
+    console.log(`\n=== MIRRORING PRODUCT IMAGES ===`);
+    console.log(`Loading data from: ${argv.input}`);
+
+    const data = await loadCrawlOutput(argv.input);
+    if (data.products.length === 0) {
+      throw new Error('No products found in the input');
+    }
+
+    const refs = collectImageRefs(data.products);
+    const uniqueUrls = new Set(refs.map(ref => ref.url)).size;
+    console.log(`Found ${refs.length} images (${uniqueUrls} unique URLs) in ${data.products.length} products`);
+
+    const mirror = await openImageMirror(argv['output-dir'], {
+      concurrency: argv.concurrency,
+      timeout: argv.timeout,
+      attempts: argv.attempts,
+      rateLimiter: createRateLimiter({ requestsPerSecond: argv.rate })
+    });
+
+    const stats = await mirror.mirror(refs);
+
+    const toLocalPath = (url) => {
+      const file = url ? mirror.localFile(url) : null;
+      return file ? path.relative(path.dirname(outputFile), path.join(argv['output-dir'], file)).split(path.sep).join('/') : null;
+    };
+
+    await fs.ensureDir(path.dirname(outputFile));
+    await fs.writeJSON(outputFile, {
+      ...data,
+      products: data.products.map(product => localizeProduct(product, toLocalPath)),
+      imageMirror: {
+        directory: argv['output-dir'],
+        manifest: mirror.manifestFile,
+        mode: argv.rewrite ? 'rewrite' : 'augment',
+        mirroredAt: mirror.manifest.updatedAt
+      }
+    }, { spaces: 2 });
+
+    const fileCount = new Set(mirror.manifest.images.map(image => image.sha256).filter(Boolean)).size;
+
+    console.log(`\n=== MIRROR COMPLETED ===`);
+    console.log(`Downloaded ${stats.downloaded} images, reused ${stats.reused} already mirrored, ${stats.failed} failed`);
+    console.log(`${refs.length} images map to ${fileCount} distinct files`);
+    console.log(`Manifest written to ${mirror.manifestFile}`);
+    console.log(`Products written to ${outputFile}`);
+  } catch (error) {
+    console.error(`Error mirroring images: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the mirror
+downloadImages().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { loadCrawlOutput } from './lib/load-products.js';
+import { SCHEMA_VERSION } from './lib/schema.js';
+import { fromMinorUnits } from './lib/money.js';
+import { toShopifyImportCsv } from './lib/shopify-import-csv.js';
+import { buildFeed, toFeedXml, toFeedTsv } from './lib/google-merchant-feed.js';
+import { toWooCommerceCsv } from './lib/woocommerce-csv.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .option('input', {
+    alias: 'i',
+    description: 'Crawl output (JSON file or sitemap_crawler.js category directory)',
+    type: 'string',
+    default: 'shopify_products.json'
+  })
+  .option('target', {
+    alias: 't',
+    description: 'Export format',
+    type: 'string',
+    choices: ['shopify', 'google', 'woocommerce'],
+    default: 'shopify'
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Output file path (defaults to a file named after the target in processed_data/)',
+    type: 'string'
+  })
+  .option('status', {
+    description: 'Product status for the Shopify import (active, draft, archived)',
+    type: 'string',
+    choices: ['active', 'draft', 'archived'],
+    default: 'active'
+  })
+  .option('feed-format', {
+    description: 'Google Merchant feed format (xml, tsv)',
+    type: 'string',
+    choices: ['xml', 'tsv'],
+    default: 'xml'
+  })
+  .option('currency', {
+    description: 'Currency code for feed prices when the crawl did not record one',
+    type: 'string',
+    default: 'USD'
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+// Each target turns the loaded products into {contents, rows, issues?} for its default file
+const TARGETS = {
+  shopify: {
+    defaultFile: 'shopify_import.csv',
+    build: (products) => {
+      const { csv, rows } = toShopifyImportCsv(products, { status: argv.status });
+      return { contents: csv, rows };
+    }
+  },
+  google: {
+    defaultFile: `google_merchant_feed.${argv['feed-format']}`,
+    build: (products, data) => {
+      const { items, issues, summary } = buildFeed(products, { currency: data.currency || argv.currency });
+      const contents = argv['feed-format'] === 'tsv'
+        ? toFeedTsv(items)
+        : toFeedXml(items, { title: data.store, link: data.store });
+      return { contents, rows: items.length, issues, summary };
+    }
+  },
+  woocommerce: {
+    defaultFile: 'woocommerce_import.csv',
+    build: (products) => {
+      const { csv, rows } = toWooCommerceCsv(products);
+      return { contents: csv, rows };
+    }
+  }
+};
+
+/**
+ * Canonical outputs store prices in minor units; the exporters work with decimal amounts
+ */
+function toDecimalPrices(product) {
+  const toDecimal = (minor) => fromMinorUnits(minor, product.currency);
+  return {
+    ...product,
+    price: toDecimal(product.price),
+    compareAtPrice: toDecimal(product.compareAtPrice),
+    variants: product.variants.map(variant => ({
+      ...variant,
+      price: toDecimal(variant.price),
+      compareAtPrice: toDecimal(variant.compareAtPrice)
+    }))
+  };
+}
+
+/**
+ * Write validation issues next to the export and print a short summary
+ */
+async function writeIssues(outputFile, issues, summary) {
+  const issuesFile = path.join(path.dirname(outputFile), `${path.basename(outputFile, path.extname(outputFile))}_issues.json`);
+  await fs.writeJSON(issuesFile, { summary, issues }, { spaces: 2 });
+
+  console.log(`\n=== VALIDATION ===`);
+  console.log(`${summary.disapproved} of ${summary.items} items would be disapproved, ${summary.withWarnings} have warnings`);
+  issues.filter(issue => issue.disapproved).slice(0, 10).forEach(issue => {
+    console.log(`  ${issue.id} (${issue.handle}): ${issue.errors.join(', ')}`);
+  });
+  console.log(`Full validation report written to ${issuesFile}`);
+}
+
+/**
+ * Export crawled products in another platform's import format
+ */
+async function exportProducts() {
+  try {
+    const target = TARGETS[argv.target];
+    const outputFile = argv.output || path.join('processed_data', target.defaultFile);
+
+    console.log(`\n=== EXPORTING PRODUCTS (${argv.target}) ===`);
+    console.log(`Loading data from: ${argv.input}`);
+
+    const data = await loadCrawlOutput(argv.input);
+    if (data.products.length === 0) {
+      throw new Error('No products found in the input');
+    }
+
+    console.log(`Found ${data.products.length} products to export`);
+
+    const products = data.schemaVersion === SCHEMA_VERSION ? data.products.map(toDecimalPrices) : data.products;
+    const { contents, rows, issues, summary } = target.build(products, data);
+
+    await fs.ensureDir(path.dirname(outputFile));
+    await fs.writeFile(outputFile, contents);
+
+    if (issues) {
+      await writeIssues(outputFile, issues, summary);
+    }
+
+    console.log(`\n=== EXPORT COMPLETED ===`);
+    console.log(`Wrote ${rows} rows to ${outputFile}`);
+  } catch (error) {
+    console.error(`Error exporting products: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the export
+exportProducts().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
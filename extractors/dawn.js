@@ -0,0 +1,47 @@
+/**
+ * Dawn and the Online Store 2.0 themes built on it (Refresh, Sense, Craft, Studio, ...).
+ * Product pages render no ProductJson script, so the DOM selectors do the work when the
+ * product endpoint is unavailable.
+ */
+export default {
+  name: 'dawn',
+  description: 'Dawn and other Online Store 2.0 themes based on it',
+
+  fingerprint: {
+    schemaNames: ['Dawn', 'Refresh', 'Sense', 'Craft', 'Studio', 'Crave', 'Ride', 'Taste', 'Colorblock', 'Origin', 'Spotlight', 'Trade', 'Publisher'],
+    themeStoreIds: [887],
+    assets: ['global.js', 'base.css', 'component-card.css'],
+    markers: ['product-info', 'variant-radios, variant-selects', 'cart-drawer, cart-notification', '.card-wrapper .card__heading']
+  },
+
+  selectors: {
+    collection: {
+      title: '.collection-hero__title, h1',
+      description: '.collection-hero__description',
+      productLinks: '.card__heading a, .card-wrapper a.full-unstyled-link'
+    },
+
+    pagination: {
+      container: '.pagination__list',
+      pageNumbers: '.pagination__item',
+      links: '.pagination__list a'
+    },
+
+    product: {
+      title: '.product__title h1, .product__title, h1',
+      description: ['.product__description', '[itemprop="description"]'],
+      price: ['.price__sale .price-item--sale', '.price__regular .price-item--regular'],
+      compareAtPrice: '.price--on-sale .price__sale s.price-item--regular',
+      images: '.product__media img, .product__media-item img',
+      options: 'variant-radios fieldset, variant-selects .product-form__input, .product-form__input--pill, .product-form__input--dropdown',
+      optionName: 'legend, label',
+      optionValues: 'input[type="radio"], option',
+      vendor: '.product__text.caption-with-letter-spacing, .product__vendor',
+      saleBadge: '.price--on-sale',
+      variantImages: '.product__media-item[data-media-id], .thumbnail-list__item',
+      addToCart: '.product-form__submit',
+      // Dawn marks the selected variant's media active and moves it to the front
+      featuredImage: '.product__media-item.is-active img, .product__media-list .product__media-item:first-child img'
+    }
+  }
+};
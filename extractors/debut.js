@@ -0,0 +1,57 @@
+/**
+ * Debut, Shopify's default theme before Online Store 2.0. Its pagination shows
+ * "Page 1 of 5" instead of page links, so the page count is read from that text.
+ */
+export default {
+  name: 'debut',
+  description: 'Debut (Shopify\'s default theme before Dawn)',
+
+  fingerprint: {
+    schemaNames: ['Debut'],
+    themeStoreIds: [796],
+    assets: ['theme.js', 'theme.scss.css'],
+    markers: ['.grid-view-item__link', '.product-single__meta', '.site-header__logo-image', '[data-section-type="collection-template"]']
+  },
+
+  selectors: {
+    collection: {
+      title: '.collection-header h1, h1',
+      description: '.collection-description',
+      productLinks: 'a.grid-view-item__link, .list-view-item__link'
+    },
+
+    pagination: {
+      container: 'ul.pagination',
+      pageNumbers: '.pagination__text',
+      links: 'ul.pagination a'
+    },
+
+    product: {
+      title: '.product-single__title',
+      description: ['.product-single__description', '[itemprop="description"]'],
+      price: ['.price--on-sale [data-sale-price]', '[data-regular-price]'],
+      compareAtPrice: '.price--on-sale [data-regular-price]',
+      images: '.product-single__media img, .product-featured-media, .product-single__thumbnail-image',
+      options: '.selector-wrapper',
+      optionValues: 'option',
+      vendor: '.product-single__vendor',
+      saleBadge: '.price--on-sale',
+      variantImages: '.product-single__thumbnail',
+      addToCart: '[data-add-to-cart]',
+      featuredImage: '.product-featured-media:not(.hide) img, .product-single__media-wrapper:not(.hide) img'
+    }
+  },
+
+  /**
+   * Read the last page number from "Page 1 of 5"
+   */
+  async getTotalPages(page, selectors) {
+    const text = await page.evaluate((selector) => {
+      const element = document.querySelector(selector);
+      return element ? element.textContent : null;
+    }, `${selectors.pagination.container} ${selectors.pagination.pageNumbers}`);
+
+    const match = text && text.match(/(\d+)\D+(\d+)/);
+    return match ? parseInt(match[2]) : null;
+  }
+};
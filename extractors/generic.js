@@ -0,0 +1,63 @@
+/**
+ * Selectors that work across most Shopify themes. Every other extractor is layered over
+ * this one, so a theme module only has to declare what its markup does differently.
+ *
+ * A selector is either a string, matched with querySelector (first element in document
+ * order), or an array of strings tried in turn (first selector that matches wins).
+ */
+export default {
+  name: 'generic',
+  description: 'Common Shopify theme markup (Brooklyn, Minimal, Supply and most older themes)',
+
+  selectors: {
+    // The /collections list page
+    collectionList: {
+      links: 'a[href*="/collections/"]'
+    },
+
+    // Collection listing pages
+    collection: {
+      title: 'h1, .collection-title, .collection-header h1',
+      description: '.collection-description, .collection__description',
+      productLinks: 'a[href*="/products/"]'
+    },
+
+    pagination: {
+      container: '.pagination, .pagination-wrapper, nav[role="navigation"], .pager, .pages, ul.page-numbers, .paginate, .pgn, [data-pagination], [class*="pagination"]',
+      pageNumbers: 'span, a',
+      links: '.pagination a, .pagination-wrapper a, [role="navigation"] a',
+      next: 'link[rel="next"]'
+    },
+
+    product: {
+      json: 'script#ProductJson-product-template, script#ProductJson-template, script[data-product-json]',
+      title: 'h1, .product-title, .product__title',
+      description: [
+        '.product__description',
+        '.product-single__description',
+        '[data-product-description]',
+        '.product-description',
+        '#product-description',
+        '.description',
+        '[itemprop="description"]'
+      ],
+      price: '.price, .product__price, [data-product-price], .product-price, .price__current, .product-single__price, .price--item, [data-item="price"], [itemprop="price"]',
+      compareAtPrice: '.price--compare-at, .product__price--compare, [data-compare-price], .compare-at-price, .product-compare-price, .price__old, .price--on-sale .price__sale, .product-single__price--compare, [data-item="comparePrice"]',
+      images: '.product__media img, .product-single__media img, .product-image, .product__image, [data-product-image], .product-featured-img, .product-gallery__image img, .product-single__photo img, #ProductPhotoImg, .product-main-image, [data-zoom-image], .slick-slide img, .product__slide img, .swiper-slide img, img[itemprop="image"], .fotorama__img, .product-gallery__image, .product-image-main img, .product_image img',
+      options: '.product-form__option, .single-option-selector, select[data-option], .swatch, [data-product-variants], .product-options, .js-product-options',
+      optionName: 'label',
+      optionValues: 'input, option, .swatch-element, [data-value]',
+      productType: '.product-type, [itemprop="category"]',
+      vendor: '.product__vendor, .product-single__vendor, .vendor, [itemprop="brand"]',
+      breadcrumbs: '.breadcrumb, .breadcrumbs, nav[aria-label="breadcrumb"] li, .breadcrumb__item, .breadcrumb-item',
+      tags: '.product-tag, .tag',
+      saleBadge: '.sale-badge, .on-sale, .price--on-sale, .price--sale, .product-tag--sale, .price-sale',
+      variantImages: '.product-single__thumbnail, .product-gallery__thumbnail, .product-thumbnails__item, [data-image-id], [data-variant-id], [data-variant-image], [data-image], [data-zoom-id], [data-media-id]',
+      optionImages: '[data-option-value]',
+      // Read after selecting option values (--enumerate-variants)
+      variantId: 'form[action*="/cart/add"] [name="id"], select[name="id"], input[name="id"]',
+      addToCart: 'form[action*="/cart/add"] [type="submit"], button[name="add"], #AddToCart, .product-form__cart-submit',
+      featuredImage: '.product-featured-img, #ProductPhotoImg, .product-single__photo img, .product__media img, img[itemprop="image"]'
+    }
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Impulse by Archetype Themes. Collection grids use .grid-product cards, and product
+ * pages share most class names with Archetype's other themes.
+ */
+export default {
+  name: 'impulse',
+  description: 'Impulse (Archetype Themes)',
+
+  fingerprint: {
+    schemaNames: ['Impulse'],
+    themeStoreIds: [857],
+    markers: ['.grid-product__link', '.grid-product__content', '.product-single__meta .product-block', '.site-nav__link']
+  },
+
+  selectors: {
+    collection: {
+      title: '.section-header__title, h1',
+      description: '.collection-hero__description, .rte--collection',
+      productLinks: 'a.grid-product__link'
+    },
+
+    pagination: {
+      container: '.pagination',
+      pageNumbers: '.page',
+      links: '.pagination a'
+    },
+
+    product: {
+      title: '.product-single__title',
+      description: ['.product-single__description', '.product-block .rte'],
+      price: '.product__price:not(.product__price--compare)',
+      compareAtPrice: '.product__price--compare',
+      images: '.product__main-photos img, .product__photo img',
+      options: '.variant-wrapper',
+      optionName: '.variant__label',
+      optionValues: '.variant-input input, option',
+      vendor: '.product-single__vendor',
+      saleBadge: '.grid-product__tag--sale, .product__price.on-sale',
+      variantImages: '.product__thumb',
+      addToCart: '.add-to-cart',
+      featuredImage: '.product-main-slide.is-selected img, .product-main-slide img'
+    }
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Prestige by Maestrooo (versions before its Online Store 2.0 rewrite), which uses
+ * BEM-style capitalized class names throughout
+ */
+export default {
+  name: 'prestige',
+  description: 'Prestige (Maestrooo)',
+
+  fingerprint: {
+    schemaNames: ['Prestige'],
+    themeStoreIds: [855],
+    markers: ['.ProductItem', '.ProductMeta', '.ProductList', '.Pagination__Nav']
+  },
+
+  selectors: {
+    collection: {
+      title: '.SectionHeader__Heading, h1',
+      description: '.SectionHeader__Description',
+      productLinks: '.ProductItem__Title a, a.ProductItem__ImageWrapper'
+    },
+
+    pagination: {
+      container: '.Pagination__Nav',
+      pageNumbers: '.Pagination__NavItem',
+      links: '.Pagination__Nav a'
+    },
+
+    product: {
+      title: '.ProductMeta__Title',
+      description: ['.ProductMeta__Description .Rte', '.ProductMeta__Description'],
+      price: ['.ProductMeta__Price.Price--highlight', '.ProductMeta__Price'],
+      compareAtPrice: '.ProductMeta__Price.Price--compareAt',
+      images: '.Product__Slideshow img, .Product__Gallery img',
+      options: '.ProductForm__Option',
+      optionName: '.ProductForm__Label, .SizeSwatchList, label',
+      optionValues: '.ProductForm__Item input, .SizeSwatch__Radio, option',
+      vendor: '.ProductMeta__Vendor',
+      saleBadge: '.ProductItem__Label--onSale, .Price--compareAt',
+      variantImages: '.Product__SlideshowNavImage',
+      addToCart: '.ProductForm__AddToCart',
+      featuredImage: '.Product__SlideItem.is-selected img, .Product__SlideItem img'
+    }
+  }
+};
@@ -0,0 +1,341 @@
+import fs from 'fs-extra';
+import fetch from 'node-fetch';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { mapProductJsonEndpoint, fetchStoreCurrency } from './lib/product-endpoint.js';
+import { parseMarkets, toMarketUrl, toMarketEntry } from './lib/markets.js';
+import { createRateLimiter } from './lib/rate-limiter.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .option('url', {
+    alias: 'u',
+    description: 'Shopify store URL',
+    type: 'string',
+    demandOption: true
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Output JSON file path',
+    type: 'string',
+    default: 'shopify_products_json.json'
+  })
+  .option('limit', {
+    alias: 'l',
+    description: 'Products per page (max 250)',
+    type: 'number',
+    default: 250
+  })
+  .option('max-pages', {
+    alias: 'p',
+    description: 'Maximum pages per endpoint to crawl (0 for all pages)',
+    type: 'number',
+    default: 0
+  })
+  .option('collections', {
+    alias: 'c',
+    description: 'Rebuild collection membership from /collections/<handle>/products.json (true/false)',
+    type: 'boolean',
+    default: true
+  })
+  .option('timeout', {
+    alias: 't',
+    description: 'Request timeout in milliseconds',
+    type: 'number',
+    default: 30000
+  })
+  .option('retries', {
+    alias: 'r',
+    description: 'Number of retries for failed requests',
+    type: 'number',
+    default: 3
+  })
+  .option('delay', {
+    alias: 'd',
+    description: 'Delay between requests in milliseconds',
+    type: 'number',
+    default: 1000
+  })
+  .option('rate', {
+    description: 'Maximum requests per second to the store; slows down automatically when throttled (0 for no limit)',
+    type: 'number',
+    default: 2
+  })
+  .option('markets', {
+    description: 'Shopify Markets to crawl /products.json in as well, comma-separated: locale subfolders (en-ca, fr-fr) or country codes (CA, DE)',
+    type: 'string',
+    default: ''
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+const storeUrl = new URL(/^https?:\/\//i.test(argv.url) ? argv.url : `https://${argv.url}`).origin;
+const pageSize = Math.min(Math.max(argv.limit, 1), 250);
+const markets = parseMarkets(argv.markets);
+
+// Adaptive per-host request rate, honoring 429/503 and Retry-After
+const rateLimiter = createRateLimiter({ requestsPerSecond: argv.rate });
+
+/**
+ * Function to save crawling progress
+ */
+async function saveProgress(data, filename) {
+  try {
+    await fs.ensureFile(filename);
+    await fs.writeJSON(filename, data, { spaces: 2 });
+    console.log(`Progress saved to ${filename}`);
+  } catch (error) {
+    console.error(`Error saving progress: ${error.message}`);
+  }
+}
+
+/**
+ * Request a JSON endpoint with retries
+ */
+async function fetchJson(url) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= argv.retries; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), argv.timeout);
+
+    try {
+      await rateLimiter.acquire(url);
+
+      const response = await fetch(url, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'application/json'
+        },
+        signal: controller.signal
+      });
+
+      if (rateLimiter.report(url, response.status, response.headers.get('retry-after'))) {
+        const error = new Error(`Throttled with HTTP ${response.status}`);
+        error.throttled = true;
+        throw error;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      lastError = error;
+      console.error(`Request attempt ${attempt}/${argv.retries} to ${url} failed: ${error.message}`);
+
+      // Throttled requests wait for the rate limiter instead
+      if (attempt < argv.retries && !error.throttled) {
+        const waitTime = 2000 * attempt; // Increasing backoff
+        console.log(`Waiting ${waitTime}ms before retry...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  throw new Error(`Failed to fetch ${url} after ${argv.retries} attempts: ${lastError.message}`);
+}
+
+/**
+ * Walk a paginated Shopify JSON endpoint (?page=N&limit=250) until it returns an empty page,
+ * optionally in a market
+ */
+async function fetchAllPages(endpoint, key, market = null) {
+  const items = [];
+  const maxPages = argv['max-pages'] > 0 ? argv['max-pages'] : Infinity;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const pageUrl = `${storeUrl}${endpoint}?limit=${pageSize}&page=${page}`;
+    const url = market ? toMarketUrl(pageUrl, market) : pageUrl;
+    const data = await fetchJson(url);
+    const pageItems = data[key] || [];
+
+    items.push(...pageItems);
+    console.log(`Fetched ${pageItems.length} ${key} from ${endpoint} page ${page}, total: ${items.length}`);
+
+    if (pageItems.length < pageSize) {
+      break;
+    }
+
+    // Add a small delay between requests
+    await new Promise(resolve => setTimeout(resolve, argv.delay));
+  }
+
+  return items;
+}
+
+/**
+ * Convert a products.json item into the crawler product shape
+ */
+function toProduct(productJson, currency) {
+  const product = mapProductJsonEndpoint(productJson, `${storeUrl}/products/${productJson.handle}`);
+
+  return {
+    id: productJson.id,
+    ...product,
+    currency,
+    createdAt: productJson.created_at,
+    publishedAt: productJson.published_at,
+    updatedAt: productJson.updated_at,
+    categories: []
+  };
+}
+
+/**
+ * Main function to crawl Shopify products from the public JSON endpoints
+ */
+async function crawlShopifyProductsJson() {
+  try {
+    console.log(`\n=== STARTING SHOPIFY JSON CRAWLER ===`);
+    console.log(`Target store: ${storeUrl}`);
+
+    // Initialize result data structure
+    const result = {
+      store: storeUrl,
+      crawledAt: new Date().toISOString(),
+      currency: null,
+      collections: [],
+      products: [],
+      totalProducts: 0
+    };
+
+    // Products keyed by ID so collection membership can be attached
+    const productsById = new Map();
+
+    // products.json prices don't say which currency they're in; the cart does
+    result.currency = await fetchStoreCurrency(storeUrl, {
+      timeout: argv.timeout,
+      beforeRequest: rateLimiter.acquire,
+      onResponse: rateLimiter.report
+    });
+    console.log(`Store currency: ${result.currency || 'unknown'}`);
+
+    // Step 1: Fetch every product from /products.json
+    console.log(`\n=== STEP 1: CRAWLING /products.json ===`);
+
+    const allProducts = await fetchAllPages('/products.json', 'products');
+    for (const productJson of allProducts) {
+      productsById.set(productJson.id, toProduct(productJson, result.currency));
+    }
+
+    result.products = [...productsById.values()];
+    result.totalProducts = result.products.length;
+    await saveProgress(result, argv.output);
+
+    // Step 2: Rebuild collection membership from each collection's products.json
+    if (argv.collections) {
+      console.log(`\n=== STEP 2: CRAWLING COLLECTIONS ===`);
+
+      let collections = [];
+      try {
+        collections = await fetchAllPages('/collections.json', 'collections');
+      } catch (error) {
+        console.error(`Error fetching collections: ${error.message}`);
+      }
+
+      for (const [index, collection] of collections.entries()) {
+        console.log(`\nCollection ${index + 1}/${collections.length}: "${collection.title}" (${collection.handle})`);
+
+        const collectionResult = {
+          id: collection.id,
+          handle: collection.handle,
+          title: collection.title,
+          description: collection.body_html || '',
+          image: collection.image ? collection.image.src : null,
+          url: `${storeUrl}/collections/${collection.handle}`,
+          productCount: 0,
+          crawled: false
+        };
+
+        try {
+          const collectionProducts = await fetchAllPages(`/collections/${collection.handle}/products.json`, 'products');
+
+          for (const productJson of collectionProducts) {
+            // Products hidden from /products.json can still show up in a collection
+            if (!productsById.has(productJson.id)) {
+              productsById.set(productJson.id, toProduct(productJson, result.currency));
+            }
+
+            const product = productsById.get(productJson.id);
+            if (!product.categories.includes(collection.title)) {
+              product.categories.push(collection.title);
+            }
+          }
+
+          collectionResult.productCount = collectionProducts.length;
+          collectionResult.crawled = true;
+          console.log(`Found ${collectionProducts.length} products in collection "${collection.title}"`);
+        } catch (error) {
+          console.error(`Error fetching products for collection ${collection.handle}: ${error.message}`);
+        }
+
+        result.collections.push(collectionResult);
+
+        // Save progress after each collection
+        result.products = [...productsById.values()];
+        result.totalProducts = result.products.length;
+        await saveProgress(result, argv.output);
+
+        // Add a small delay between collections
+        await new Promise(resolve => setTimeout(resolve, argv.delay));
+      }
+    }
+
+    // Step 3: Crawl /products.json again in each market and keep the market prices side by side
+    for (const market of markets) {
+      console.log(`\n=== STEP 3: CRAWLING MARKET ${market.key} ===`);
+
+      try {
+        const marketUrl = toMarketUrl(storeUrl, market);
+        const currency = await fetchStoreCurrency(marketUrl, {
+          timeout: argv.timeout,
+          beforeRequest: rateLimiter.acquire,
+          onResponse: rateLimiter.report
+        });
+        console.log(`Market currency: ${currency || 'unknown'}`);
+
+        const marketProducts = await fetchAllPages('/products.json', 'products', market);
+        let matched = 0;
+        for (const productJson of marketProducts) {
+          const product = productsById.get(productJson.id);
+          if (!product) continue;
+
+          const marketProduct = mapProductJsonEndpoint(productJson, toMarketUrl(product.url, market));
+          product.markets = product.markets || {};
+          product.markets[market.key] = toMarketEntry({ ...marketProduct, currency });
+          matched++;
+        }
+        console.log(`Found market prices for ${matched} of ${productsById.size} products`);
+      } catch (error) {
+        console.error(`Error crawling market ${market.key}: ${error.message}`);
+      }
+
+      result.products = [...productsById.values()];
+      await saveProgress(result, argv.output);
+    }
+
+    console.log(`\n=== CRAWLING COMPLETED ===`);
+    console.log(`Total collections: ${result.collections.length}`);
+    console.log(`Total products: ${result.products.length}`);
+
+    // Final save
+    result.products = [...productsById.values()];
+    result.totalProducts = result.products.length;
+    result.throttle = rateLimiter.getSummary();
+    result.completedAt = new Date().toISOString();
+    await saveProgress(result, argv.output);
+
+  } catch (error) {
+    console.error('Crawling failed:', error);
+  }
+}
+
+// Run the crawler
+crawlShopifyProductsJson().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+export const STATE_FILE = 'crawl_state.jsonl';
+// Where a finished run's journal is kept for inspection; it is never resumed from
+export const FINISHED_STATE_FILE = 'crawl_state.last.jsonl';
+const PRODUCTS_DIR = '.products';
+
+/**
+ * Make a handle safe to use as a file name
+ */
+function toFileName(handle) {
+  return `${encodeURIComponent(handle)}.json`;
+}
+
+/**
+ * Open (or start) the persistent crawl state for an output directory.
+ *
+ * The state is an append-only journal (crawl_state.jsonl) with one line per status
+ * change, so every update is on disk as soon as it happens. Keys look like
+ * "collection:<handle>" or "product:<handle>"; statuses are pending, done and failed.
+ * Crawled product data is checkpointed next to it in .products/<handle>.json.
+ * Once a run reaches the end, finish() rotates the journal out of the way, so only an
+ * interrupted run is resumed and the next run crawls everything again.
+ */
+export async function openCrawlState(outputDir, { fresh = false } = {}) {
+  const stateFile = path.join(outputDir, STATE_FILE);
+  const productsDir = path.join(outputDir, PRODUCTS_DIR);
+  const entries = new Map();
+
+  await fs.ensureDir(outputDir);
+
+  if (fresh) {
+    await fs.remove(stateFile);
+    await fs.remove(productsDir);
+  } else if (await fs.pathExists(stateFile)) {
+    // Replay the journal; the last line for a key wins
+    const lines = (await fs.readFile(stateFile, 'utf-8')).split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        entries.set(entry.key, entry);
+      } catch (e) {
+        // A crash mid-write can leave a truncated last line
+      }
+    }
+
+    // Compact the journal so it doesn't grow across resumed runs
+    const compacted = [...entries.values()].map(entry => JSON.stringify(entry)).join('\n');
+    await fs.writeFile(stateFile, compacted ? `${compacted}\n` : '');
+    console.log(`Resuming crawl state from ${stateFile} (${entries.size} entries)`);
+  }
+
+  await fs.ensureDir(productsDir);
+
+  return {
+    get(key) {
+      return entries.get(key) || null;
+    },
+
+    isDone(key) {
+      return entries.get(key)?.status === 'done';
+    },
+
+    /**
+     * Record a status change and flush it to the journal immediately
+     */
+    async mark(key, status, extra = {}) {
+      const previous = entries.get(key) || {};
+      const entry = {
+        ...previous,
+        ...extra,
+        key,
+        status,
+        attempts: (previous.attempts || 0) + (status === 'pending' ? 0 : 1),
+        updatedAt: new Date().toISOString()
+      };
+      if (status !== 'failed') {
+        delete entry.error;
+      }
+      entries.set(key, entry);
+      await fs.appendFile(stateFile, `${JSON.stringify(entry)}\n`);
+      return entry;
+    },
+
+    async saveProduct(handle, productData) {
+      const file = path.join(productsDir, toFileName(handle));
+      await fs.writeJSON(`${file}.tmp`, productData);
+      await fs.move(`${file}.tmp`, file, { overwrite: true });
+    },
+
+    async loadProduct(handle) {
+      const file = path.join(productsDir, toFileName(handle));
+      if (!await fs.pathExists(file)) return null;
+      try {
+        return await fs.readJSON(file);
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+     * Mark the run finished: move the journal to FINISHED_STATE_FILE and drop the product checkpoints
+     */
+    async finish() {
+      if (await fs.pathExists(stateFile)) {
+        await fs.move(stateFile, path.join(outputDir, FINISHED_STATE_FILE), { overwrite: true });
+      }
+      await fs.remove(productsDir);
+      entries.clear();
+    },
+
+    /**
+     * Count entries by type and status
+     */
+    summary() {
+      const counts = {};
+      for (const entry of entries.values()) {
+        const type = entry.key.split(':')[0];
+        counts[type] = counts[type] || { pending: 0, done: 0, failed: 0 };
+        counts[type][entry.status] = (counts[type][entry.status] || 0) + 1;
+      }
+      return counts;
+    }
+  };
+}
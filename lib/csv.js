@@ -0,0 +1,40 @@
+// Separator used when several values (tags, image URLs) share one cell
+export const MULTI_VALUE_SEPARATOR = '|';
+
+/**
+ * Quote a value for a CSV cell. Cells containing the delimiter, quotes, line breaks
+ * or leading/trailing whitespace are wrapped in quotes with inner quotes doubled.
+ */
+export function escapeCsvValue(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Join a multi-value field into one cell
+ */
+export function joinValues(values, separator = MULTI_VALUE_SEPARATOR) {
+  if (!Array.isArray(values)) return values === null || values === undefined ? '' : String(values);
+  return values.filter(value => value !== null && value !== undefined && value !== '').join(separator);
+}
+
+/**
+ * Build CSV text from rows.
+ * Columns are either property names or {header, value} where value is a property name or a function of the row.
+ */
+export function toCsv(rows, columns, { delimiter = ',' } = {}) {
+  const normalized = columns.map(column => (typeof column === 'string' ? { header: column, value: column } : column));
+  const cell = (row, column) => (typeof column.value === 'function' ? column.value(row) : row[column.value]);
+
+  const lines = [normalized.map(column => escapeCsvValue(column.header, delimiter)).join(delimiter)];
+  for (const row of rows) {
+    lines.push(normalized.map(column => escapeCsvValue(cell(row, column), delimiter)).join(delimiter));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,150 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { fingerprintTheme, MIN_FINGERPRINT_SCORE } from './theme-fingerprint.js';
+
+// Extractors that ship with the crawler
+export const BUILTIN_EXTRACTORS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'extractors');
+
+// The extractor every other one is layered over
+export const BASE_EXTRACTOR = 'generic';
+
+// Optional hooks an extractor can provide; each replaces the built-in step it names
+const HOOKS = ['getTotalPages', 'getProductLinks', 'extractProduct', 'transformProduct'];
+
+/**
+ * Check an extractor module's default export and report what's wrong with it
+ */
+function validateExtractor(extractor, file) {
+  if (!extractor || typeof extractor !== 'object') {
+    throw new Error(`${file} has no default export`);
+  }
+  if (!extractor.name || typeof extractor.name !== 'string') {
+    throw new Error(`${file}: extractors need a name`);
+  }
+  if (extractor.detect !== undefined && typeof extractor.detect !== 'function') {
+    throw new Error(`${file}: detect must be a function`);
+  }
+  for (const key of ['schemaNames', 'themeStoreIds', 'assets', 'markers']) {
+    if (extractor.fingerprint && extractor.fingerprint[key] !== undefined && !Array.isArray(extractor.fingerprint[key])) {
+      throw new Error(`${file}: fingerprint.${key} must be an array`);
+    }
+  }
+  for (const hook of HOOKS) {
+    if (extractor[hook] !== undefined && typeof extractor[hook] !== 'function') {
+      throw new Error(`${file}: ${hook} must be a function`);
+    }
+  }
+}
+
+/**
+ * Layer an extractor's selectors over the base extractor's, group by group.
+ * A selector the extractor declares replaces the base one; the rest are inherited.
+ */
+function withBaseSelectors(extractor, base) {
+  if (!base || extractor === base) return extractor;
+
+  const selectors = {};
+  for (const group of new Set([...Object.keys(base.selectors || {}), ...Object.keys(extractor.selectors || {})])) {
+    selectors[group] = { ...(base.selectors || {})[group], ...(extractor.selectors || {})[group] };
+  }
+  return { ...extractor, selectors };
+}
+
+/**
+ * Load every extractor module (*.js with a default export) from the built-in directory
+ * and any extra directories. An extractor in an extra directory replaces a built-in one
+ * with the same name, and wins ties with the built-ins when fingerprinting the theme.
+ */
+export async function loadExtractors(extraDirs = []) {
+  const byName = new Map();
+
+  for (const dir of [BUILTIN_EXTRACTORS_DIR, ...[].concat(extraDirs).filter(Boolean)]) {
+    if (!await fs.pathExists(dir)) {
+      throw new Error(`Extractor directory not found: ${dir}`);
+    }
+
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+      const fullPath = path.resolve(dir, file);
+      const { default: extractor } = await import(pathToFileURL(fullPath).href);
+      validateExtractor(extractor, fullPath);
+
+      // Re-inserting moves the extractor to the end, ahead of the built-ins once reversed
+      byName.delete(extractor.name);
+      byName.set(extractor.name, { ...extractor, file: fullPath });
+    }
+  }
+
+  const base = byName.get(BASE_EXTRACTOR);
+  if (!base) {
+    throw new Error(`The ${BASE_EXTRACTOR} extractor is missing from ${BUILTIN_EXTRACTORS_DIR}`);
+  }
+
+  return [...byName.values()].reverse().map(extractor => withBaseSelectors(extractor, base));
+}
+
+/**
+ * Pick the extractor: the one named by `name` when given, otherwise the best fingerprint
+ * candidate (see fingerprintTheme) that scores at least MIN_FINGERPRINT_SCORE, falling
+ * back to the generic extractor
+ */
+export function selectExtractor(extractors, detection, name = null) {
+  if (name) {
+    const named = extractors.find(extractor => extractor.name === name);
+    if (!named) {
+      throw new Error(`Unknown extractor "${name}" (available: ${extractors.map(extractor => extractor.name).join(', ')})`);
+    }
+    return named;
+  }
+
+  const best = ((detection && detection.candidates) || [])[0];
+  return (best && best.score >= MIN_FINGERPRINT_SCORE && extractors.find(extractor => extractor.name === best.name)) ||
+    extractors.find(extractor => extractor.name === BASE_EXTRACTOR);
+}
+
+/**
+ * Create a resolver that fingerprints the theme on the first page it sees and keeps
+ * the chosen extractor for the rest of the run (a store runs one theme). Pages crawled
+ * in parallel share the same pending detection. A named extractor is looked up right
+ * away, so a typo fails before the crawl starts.
+ *
+ * Returns {resolve(page), getDetection()}; the detection is
+ * {extractor, theme, assets, candidates}, or null before the first page.
+ */
+export function createExtractorResolver(extractors, { name = null } = {}) {
+  let selection = null;
+  let detection = null;
+
+  if (name) {
+    const extractor = selectExtractor(extractors, null, name);
+    console.log(`Using the ${extractor.name} extractor`);
+    detection = { extractor: extractor.name, forced: true };
+    selection = Promise.resolve(extractor);
+  }
+
+  function resolve(page) {
+    if (!selection) {
+      selection = fingerprintTheme(page, extractors)
+        .catch(error => {
+          console.log(`Theme fingerprinting failed: ${error.message}`);
+          return { theme: {}, assets: [], candidates: [] };
+        })
+        .then(result => {
+          const extractor = selectExtractor(extractors, result);
+          detection = { extractor: extractor.name, ...result };
+
+          const themeName = result.theme.schemaName || result.theme.name;
+          const best = result.candidates.find(candidate => candidate.name === extractor.name);
+          console.log(`Using the ${extractor.name} extractor${themeName ? ` (theme: ${themeName})` : ''}`);
+          if (best) {
+            console.log(`Matched on ${best.evidence.join(', ')}`);
+          }
+          return extractor;
+        });
+    }
+    return selection;
+  }
+
+  return { resolve, getDetection: () => detection };
+}
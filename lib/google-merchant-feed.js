@@ -0,0 +1,228 @@
+import { Builder } from 'xml2js';
+import { toNumericId } from './load-products.js';
+import { toPrice, isAvailable, imageUrl, getVariantOptions, stripHtml } from './product-fields.js';
+import { currencyDigits } from './money.js';
+
+// Attribute order for the TSV feed (and the item elements in the XML feed)
+export const FEED_ATTRIBUTES = [
+  'id',
+  'item_group_id',
+  'title',
+  'description',
+  'link',
+  'image_link',
+  'additional_image_link',
+  'availability',
+  'price',
+  'sale_price',
+  'brand',
+  'gtin',
+  'mpn',
+  'identifier_exists',
+  'condition',
+  'product_type',
+  'color',
+  'size'
+];
+
+// Google's limits on attribute length
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_ADDITIONAL_IMAGES = 10;
+
+// Shopify CDN size suffixes (_large, _2048x2048, _x600) that serve the same image at another size
+const IMAGE_SIZE_SUFFIX = /_(pico|icon|thumb|small|compact|medium|large|grande|original|\d+x\d*|x\d+)(?=[._@])/;
+
+/**
+ * Check a GTIN (8, 12, 13 or 14 digits) against its check digit
+ */
+export function isValidGtin(gtin) {
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(gtin)) return false;
+
+  const digits = gtin.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+/**
+ * Reduce an image URL to what identifies the image: protocol-relative URLs made absolute as
+ * the image mirror does, with the query string (?v=, width=) and the CDN size suffix removed
+ */
+function imageKey(url) {
+  const absolute = url.startsWith('//') ? `https:${url}` : url;
+  const [base] = absolute.split(/[?#]/);
+  const slash = base.lastIndexOf('/');
+  return base.slice(0, slash + 1) + base.slice(slash + 1).replace(IMAGE_SIZE_SUFFIX, '');
+}
+
+/**
+ * Format a price as Google expects ("15.00 USD", "1280 JPY")
+ */
+function formatPrice(price, currency) {
+  return price === null ? '' : `${price.toFixed(currencyDigits(currency))} ${currency}`;
+}
+
+/**
+ * Build the feed items for one product, one per variant. Prices are in the product's
+ * currency, or the given one when the crawl didn't record it.
+ */
+export function toFeedItems(product, { currency: defaultCurrency = 'USD' } = {}) {
+  const currency = product.currency || defaultCurrency;
+  const variants = product.variants && product.variants.length > 0
+    ? product.variants
+    : [{ title: 'Default Title', price: product.price, compareAtPrice: product.compareAtPrice, available: product.available }];
+  const images = (product.images || []).map(imageUrl).filter(Boolean);
+  const productId = product.id !== undefined && product.id !== null ? toNumericId(product.id) : product.handle;
+  const description = stripHtml(product.descriptionHtml || product.description).slice(0, MAX_DESCRIPTION_LENGTH);
+
+  return variants.map((variant, index) => {
+    const variantId = variant.id !== undefined && variant.id !== null ? toNumericId(variant.id) : null;
+    const options = getVariantOptions(product, variant);
+    const findOption = (pattern) => (options.find(option => pattern.test(option.name)) || {}).value || '';
+
+    const price = toPrice(variant.price);
+    const compareAtPrice = toPrice(variant.compareAtPrice);
+    const onSale = price !== null && compareAtPrice !== null && compareAtPrice > price;
+
+    const available = isAvailable(variant);
+    const imageLink = imageUrl(variant.image) || images[0] || '';
+    const gtin = String(variant.barcode || variant.gtin || '').trim();
+
+    let link = product.url || '';
+    if (link && variantId) {
+      link += `${link.includes('?') ? '&' : '?'}variant=${variantId}`;
+    }
+
+    const hasVariantTitle = variant.title && variant.title !== 'Default Title';
+
+    return {
+      id: variantId || `${product.handle}-${index + 1}`,
+      item_group_id: variants.length > 1 ? productId : '',
+      title: hasVariantTitle ? `${product.title} - ${variant.title}` : (product.title || ''),
+      description,
+      link,
+      image_link: imageLink,
+      additional_image_link: images.filter(image => !imageLink || imageKey(image) !== imageKey(imageLink)).slice(0, MAX_ADDITIONAL_IMAGES),
+      // Unknown availability is reported by validation rather than guessed
+      availability: available === null ? '' : (available ? 'in_stock' : 'out_of_stock'),
+      price: formatPrice(onSale ? compareAtPrice : price, currency),
+      sale_price: onSale ? formatPrice(price, currency) : '',
+      brand: product.vendor || '',
+      gtin,
+      mpn: variant.sku || '',
+      identifier_exists: gtin || (variant.sku && product.vendor) ? '' : 'no',
+      condition: 'new',
+      product_type: product.productType || '',
+      color: findOption(/colou?r/i),
+      size: findOption(/size/i)
+    };
+  });
+}
+
+/**
+ * Check an item against the fields Google requires. Errors get the item disapproved,
+ * warnings limit how it is shown.
+ */
+export function validateFeedItem(item) {
+  const errors = [];
+  const warnings = [];
+
+  ['id', 'title', 'description', 'link', 'image_link', 'availability', 'price'].forEach(field => {
+    if (!item[field]) errors.push(`missing ${field}`);
+  });
+
+  if (item.title.length > MAX_TITLE_LENGTH) {
+    errors.push(`title longer than ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (item.link && !/^https?:\/\//.test(item.link)) {
+    errors.push('link is not an absolute http(s) URL');
+  }
+  if (item.image_link && !/^https?:\/\//.test(item.image_link)) {
+    errors.push('image_link is not an absolute http(s) URL');
+  }
+  if (item.price && parseFloat(item.price) <= 0) {
+    errors.push('price must be greater than zero');
+  }
+  if (item.gtin && !isValidGtin(item.gtin)) {
+    errors.push(`invalid gtin ${item.gtin}`);
+  }
+
+  if (!item.brand) warnings.push('missing brand');
+  if (item.description.length >= MAX_DESCRIPTION_LENGTH) warnings.push('description truncated');
+
+  return { errors, warnings };
+}
+
+/**
+ * Build feed items for every product and validate them
+ */
+export function buildFeed(products, options = {}) {
+  const items = [];
+  const issues = [];
+
+  for (const product of products) {
+    if (!product || !product.handle) continue;
+
+    for (const item of toFeedItems(product, options)) {
+      const { errors, warnings } = validateFeedItem(item);
+      if (errors.length > 0 || warnings.length > 0) {
+        issues.push({ id: item.id, handle: product.handle, title: item.title, disapproved: errors.length > 0, errors, warnings });
+      }
+      items.push(item);
+    }
+  }
+
+  return {
+    items,
+    issues,
+    summary: {
+      items: items.length,
+      disapproved: issues.filter(issue => issue.disapproved).length,
+      withWarnings: issues.filter(issue => issue.warnings.length > 0).length
+    }
+  };
+}
+
+/**
+ * Render items as an RSS 2.0 feed in the g: namespace
+ */
+export function toFeedXml(items, { title, link, description = 'Product feed' } = {}) {
+  const builder = new Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+
+  const xml = builder.buildObject({
+    rss: {
+      $: { 'version': '2.0', 'xmlns:g': 'http://base.google.com/ns/1.0' },
+      channel: {
+        title: title || link || 'Products',
+        link: link || '',
+        description,
+        item: items.map(item => {
+          const element = {};
+          for (const attribute of FEED_ATTRIBUTES) {
+            const value = item[attribute];
+            if (Array.isArray(value) ? value.length > 0 : value) {
+              element[`g:${attribute}`] = value;
+            }
+          }
+          return element;
+        })
+      }
+    }
+  });
+
+  return `${xml}\n`;
+}
+
+/**
+ * Render items as a tab-separated feed. Tabs and line breaks in values become spaces,
+ * and additional_image_link is a comma-separated list.
+ */
+export function toFeedTsv(items) {
+  const clean = (value) => (Array.isArray(value) ? value.join(',') : String(value || '')).replace(/[\t\r\n]+/g, ' ');
+  const lines = [FEED_ATTRIBUTES.join('\t')];
+  for (const item of items) {
+    lines.push(FEED_ATTRIBUTES.map(attribute => clean(item[attribute])).join('\t'));
+  }
+  return `${lines.join('\n')}\n`;
+}
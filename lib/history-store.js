@@ -0,0 +1,164 @@
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+import { normalizeCrawlOutput } from './normalize.js';
+
+export const DEFAULT_LEDGER = 'history/price_history.jsonl';
+
+/**
+ * Reduce a store URL or domain to its host so runs from different crawlers line up
+ */
+export function toStoreKey(store) {
+  if (!store) return null;
+  try {
+    return new URL(/^https?:\/\//i.test(store) ? store : `https://${store}`).host.replace(/^www\./, '');
+  } catch (e) {
+    return String(store);
+  }
+}
+
+/**
+ * Turn one crawl output into ledger rows, one per variant, with prices in minor units.
+ * Products without an ID fall back to their handle and variants without one to their title,
+ * so HTML-crawled outputs still line up from run to run.
+ */
+export function toLedgerRows(crawlOutput, { store, crawledAt } = {}) {
+  const canonical = normalizeCrawlOutput(crawlOutput);
+  const storeKey = toStoreKey(store || canonical.store);
+  const observedAt = crawledAt || canonical.crawledAt || new Date().toISOString();
+  const rows = [];
+
+  for (const product of canonical.products) {
+    const productId = product.id !== null ? product.id : `handle:${product.handle}`;
+
+    for (const variant of product.variants) {
+      rows.push({
+        store: storeKey,
+        productId,
+        variantId: variant.id !== null ? variant.id : `title:${variant.title}`,
+        handle: product.handle,
+        title: product.title,
+        variantTitle: variant.title || null,
+        sku: variant.sku || null,
+        currency: product.currency,
+        price: variant.price,
+        compareAtPrice: variant.compareAtPrice,
+        available: variant.available,
+        crawledAt: observedAt
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Open an append-only JSONL price history ledger.
+ *
+ * Every line is one observation of a variant: {store, productId, variantId, handle, title,
+ * variantTitle, sku, currency, price, compareAtPrice, available, crawledAt}, with prices in
+ * integer minor units of the currency. Rows are only ever appended; a run is identified by
+ * its store and crawledAt so the same output isn't recorded twice.
+ */
+export function openHistoryStore(ledgerFile = DEFAULT_LEDGER) {
+  /**
+   * Stream every row in the ledger, skipping a truncated last line
+   */
+  async function* rows() {
+    if (!await fs.pathExists(ledgerFile)) return;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(ledgerFile, { encoding: 'utf-8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (e) {
+        // A crash mid-write can leave a truncated last line
+      }
+    }
+  }
+
+  /**
+   * Load rows matching a filter, grouped by series (store + handle + variant + currency).
+   * Products are matched by handle, which every crawler records, so runs with and without
+   * product IDs line up. Variants recorded by title join the series of the variant with
+   * that title when another run saw its ID. A variant whose currency changed starts a new
+   * series, since its prices can't be compared.
+   */
+  async function loadSeries(filter = () => true) {
+    const matching = [];
+    for await (const row of rows()) {
+      if (filter(row)) matching.push(row);
+    }
+
+    const productKey = (row) => `${row.store}|${row.handle}|${row.currency}`;
+    const isTitleKey = (variantId) => String(variantId).startsWith('title:');
+
+    const variantIdsByTitle = new Map();
+    for (const row of matching) {
+      if (!isTitleKey(row.variantId) && row.variantTitle) {
+        variantIdsByTitle.set(`${productKey(row)}|${row.variantTitle}`, row.variantId);
+      }
+    }
+
+    const series = new Map();
+    for (const row of matching) {
+      const variantId = isTitleKey(row.variantId)
+        ? variantIdsByTitle.get(`${productKey(row)}|${row.variantTitle}`) || row.variantId
+        : row.variantId;
+      const key = `${productKey(row)}|${variantId}`;
+      if (!series.has(key)) {
+        series.set(key, []);
+      }
+      series.get(key).push(row);
+    }
+
+    for (const observations of series.values()) {
+      observations.sort((a, b) => a.crawledAt.localeCompare(b.crawledAt));
+    }
+
+    return series;
+  }
+
+  /**
+   * List the recorded runs as {store, crawledAt, variants}
+   */
+  async function listRuns() {
+    const runs = new Map();
+    for await (const row of rows()) {
+      const key = `${row.store}|${row.crawledAt}`;
+      if (!runs.has(key)) {
+        runs.set(key, { store: row.store, crawledAt: row.crawledAt, variants: 0 });
+      }
+      runs.get(key).variants++;
+    }
+    return [...runs.values()].sort((a, b) => a.crawledAt.localeCompare(b.crawledAt));
+  }
+
+  /**
+   * Append a crawl output to the ledger. Returns the number of rows written,
+   * or 0 when the run is already recorded and force is not set.
+   */
+  async function record(crawlOutput, { store, crawledAt, force = false } = {}) {
+    const newRows = toLedgerRows(crawlOutput, { store, crawledAt });
+    if (newRows.length === 0) return 0;
+
+    const { store: storeKey, crawledAt: observedAt } = newRows[0];
+    if (!force) {
+      const runs = await listRuns();
+      if (runs.some(run => run.store === storeKey && run.crawledAt === observedAt)) {
+        return 0;
+      }
+    }
+
+    await fs.ensureDir(path.dirname(ledgerFile));
+    await fs.appendFile(ledgerFile, `${newRows.map(row => JSON.stringify(row)).join('\n')}\n`);
+    return newRows.length;
+  }
+
+  return { ledgerFile, rows, loadSeries, listRuns, record };
+}
@@ -0,0 +1,281 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import fetch from 'node-fetch';
+import { toNumericId } from './load-products.js';
+import { imageUrl } from './product-fields.js';
+import { createFrontier, runWorkerPool } from './worker-pool.js';
+import { THROTTLE_STATUSES, parseRetryAfter } from './rate-limiter.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+// Backoff between download attempts: 1s, 2s, 4s, ... capped at a minute
+const BACKOFF_BASE = 1000;
+const MAX_BACKOFF = 60000;
+
+// File extensions for the formats readImageSize recognizes
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp' };
+
+// JPEG start-of-frame markers, which carry the image dimensions
+const JPEG_SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+/**
+ * Read the format and dimensions from an image's header (JPEG, PNG, GIF or WebP).
+ * Returns {format, width, height}, or null for formats it doesn't know.
+ */
+export function readImageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47) {
+    return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L') {
+      return {
+        format: 'webp',
+        width: 1 + (((buffer[22] & 0x3F) << 8) | buffer[21]),
+        height: 1 + (((buffer[24] & 0x0F) << 10) | (buffer[23] << 2) | ((buffer[22] & 0xC0) >> 6))
+      };
+    }
+    if (chunk === 'VP8X') {
+      return { format: 'webp', width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    }
+    return { format: 'webp', width: null, height: null };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xFF) {
+        offset++;
+        continue;
+      }
+      const marker = buffer[offset + 1];
+      if (JPEG_SOF_MARKERS.includes(marker)) {
+        return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      // Markers without a length segment
+      if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+        offset += marker === 0xFF ? 1 : 2;
+        continue;
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return { format: 'jpeg', width: null, height: null };
+  }
+
+  return null;
+}
+
+/**
+ * Make an image URL absolute (the .js endpoint returns protocol-relative CDN URLs)
+ */
+function toAbsoluteUrl(url) {
+  return url.startsWith('//') ? `https:${url}` : url;
+}
+
+/**
+ * List every product and variant image in a crawl output as
+ * {handle, productId, variantId, position, url}. Product images are numbered from 1
+ * in crawl order; variant images have the variant's ID and no position.
+ */
+export function collectImageRefs(products) {
+  const refs = [];
+
+  for (const product of products) {
+    if (!product || !product.handle) continue;
+    const productId = product.id !== undefined && product.id !== null ? toNumericId(product.id) : null;
+
+    (product.images || []).forEach((image, index) => {
+      const url = imageUrl(image);
+      if (url) {
+        refs.push({ handle: product.handle, productId, variantId: null, position: index + 1, url: toAbsoluteUrl(url) });
+      }
+    });
+
+    for (const variant of product.variants || []) {
+      const url = imageUrl(variant.image);
+      if (!url) continue;
+      refs.push({
+        handle: product.handle,
+        productId,
+        variantId: variant.id !== undefined && variant.id !== null ? toNumericId(variant.id) : `title:${variant.title}`,
+        position: null,
+        url: toAbsoluteUrl(url)
+      });
+    }
+  }
+
+  return refs;
+}
+
+/**
+ * Open a local image mirror directory and its manifest.
+ *
+ * Files are stored once per content hash as <sha256>.<ext>, so the same picture served
+ * under several URLs (or as both a product and a variant image) is kept once. The manifest
+ * keeps every file ever mirrored (files), which file each URL resolved to (urls), and the
+ * product/variant/position mapping of the last run (images). URLs that are already
+ * mirrored are not downloaded again, so images a store has since taken down stay available.
+ *
+ * Each URL is tried up to attempts times, backing off exponentially between attempts;
+ * timeout applies to each attempt. Throttled responses (429/503) are left to the rate
+ * limiter, which pauses the host for Retry-After, or wait for Retry-After without one.
+ */
+export async function openImageMirror(directory, options = {}) {
+  const { concurrency = 4, timeout = 30000, attempts = 3, rateLimiter = null } = options;
+  const manifestFile = path.join(directory, MANIFEST_FILE);
+
+  const manifest = await fs.pathExists(manifestFile)
+    ? await fs.readJSON(manifestFile)
+    : { updatedAt: null, files: {}, urls: {}, images: [], failures: [] };
+
+  /**
+   * Download one URL, retrying failures with backoff
+   */
+  async function download(url) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (rateLimiter) {
+        await rateLimiter.acquire(url);
+      }
+
+      // Started after the rate limiter's wait so every attempt gets the full timeout
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        const response = await fetch(url, { headers: { 'User-Agent': USER_AGENT }, signal: controller.signal });
+
+        const retryAfter = response.headers.get('retry-after');
+        const throttled = rateLimiter
+          ? rateLimiter.report(url, response.status, retryAfter)
+          : THROTTLE_STATUSES.includes(response.status);
+        if (throttled) {
+          const error = new Error(`Throttled with HTTP ${response.status}`);
+          error.throttled = true;
+          error.retryAfter = parseRetryAfter(retryAfter);
+          throw error;
+        }
+        if (!response.ok) {
+          const error = new Error(`HTTP ${response.status} ${response.statusText}`);
+          // A removed image won't come back on a retry
+          error.permanent = response.status === 404 || response.status === 410;
+          throw error;
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+      } catch (error) {
+        lastError = error;
+        if (error.permanent) break;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      // The rate limiter already holds a throttled host back until its next request
+      if (attempt < attempts && !(lastError.throttled && rateLimiter)) {
+        const backoff = Math.min(MAX_BACKOFF, BACKOFF_BASE * 2 ** (attempt - 1));
+        const wait = lastError.throttled && lastError.retryAfter !== null ? lastError.retryAfter : backoff;
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Store a downloaded image under its content hash, returning the hash
+   */
+  async function store(url, buffer) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    if (!manifest.files[sha256] || !await fs.pathExists(path.join(directory, manifest.files[sha256].file))) {
+      const size = readImageSize(buffer) || { format: null, width: null, height: null };
+      const urlExtension = (new URL(url).pathname.match(/\.(\w+)$/) || [])[1];
+      const extension = EXTENSIONS[size.format] || (urlExtension ? urlExtension.toLowerCase() : 'bin');
+      const file = `${sha256}.${extension}`;
+
+      await fs.writeFile(path.join(directory, file), buffer);
+      manifest.files[sha256] = { file, bytes: buffer.length, format: size.format, width: size.width, height: size.height };
+    }
+
+    manifest.urls[url] = sha256;
+    return sha256;
+  }
+
+  /**
+   * Mirror the images behind a list of refs (see collectImageRefs) with bounded concurrency.
+   * Returns {downloaded, reused, failed}; the manifest's images and failures describe this run.
+   */
+  async function mirror(refs) {
+    await fs.ensureDir(directory);
+
+    const stats = { downloaded: 0, reused: 0, failed: 0 };
+    const failures = [];
+    const pending = [];
+
+    for (const url of new Set(refs.map(ref => ref.url))) {
+      const sha256 = manifest.urls[url];
+      if (sha256 && manifest.files[sha256] && await fs.pathExists(path.join(directory, manifest.files[sha256].file))) {
+        stats.reused++;
+      } else {
+        pending.push(url);
+      }
+    }
+
+    const frontier = createFrontier(pending);
+    const workers = Array.from({ length: Math.max(1, concurrency) }, (_, index) => index);
+
+    await runWorkerPool(workers, frontier, async (url) => {
+      try {
+        await store(url, await download(url));
+        stats.downloaded++;
+        if (stats.downloaded % 50 === 0) {
+          console.log(`Downloaded ${stats.downloaded}/${pending.length} images`);
+        }
+      } catch (error) {
+        stats.failed++;
+        failures.push({ url, error: error.message });
+        console.log(`Failed to download ${url}: ${error.message}`);
+      }
+    });
+
+    manifest.images = refs.map(ref => {
+      const sha256 = manifest.urls[ref.url] || null;
+      const file = sha256 ? manifest.files[sha256] : null;
+      return {
+        ...ref,
+        sha256,
+        file: file ? file.file : null,
+        bytes: file ? file.bytes : null,
+        width: file ? file.width : null,
+        height: file ? file.height : null
+      };
+    });
+    manifest.failures = failures;
+    manifest.updatedAt = new Date().toISOString();
+
+    await fs.writeJSON(manifestFile, manifest, { spaces: 2 });
+    return stats;
+  }
+
+  /**
+   * Local file for a mirrored URL, relative to the mirror directory, or null
+   */
+  function localFile(url) {
+    const sha256 = manifest.urls[toAbsoluteUrl(url)];
+    return sha256 && manifest.files[sha256] ? manifest.files[sha256].file : null;
+  }
+
+  return { directory, manifestFile, manifest, mirror, localFile };
+}
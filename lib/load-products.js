@@ -0,0 +1,129 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Files sitemap_crawler.js writes next to the per-collection files that don't hold products
+const METADATA_FILES = ['collections_metadata.json', 'sitemap_entries.json', 'run_log.json'];
+
+/**
+ * Strip a Shopify GraphQL global ID (gid://shopify/Product/123) down to its numeric ID
+ */
+export function toNumericId(id) {
+  if (id === null || id === undefined) return null;
+  const value = String(id);
+  const match = value.match(/^gid:\/\/shopify\/\w+\/(\d+)/);
+  return match ? match[1] : value;
+}
+
+/**
+ * Load products from a crawler output: a JSON file with a top-level `products` array
+ * (index.js, api-crawler.js, json-crawler.js, sitemap_crawler.js products mode) or a
+ * sitemap_crawler.js category directory with one JSON file per collection.
+ * Products found in several collection files are only returned once, with every
+ * collection they were found in listed in `categories`.
+ */
+export async function loadCrawlOutput(inputPath) {
+  if (!await fs.pathExists(inputPath)) {
+    throw new Error(`Input not found: ${inputPath}`);
+  }
+
+  const stat = await fs.stat(inputPath);
+
+  if (!stat.isDirectory()) {
+    const data = await fs.readJSON(inputPath);
+    const products = Array.isArray(data.products) ? data.products : [];
+    const firstProduct = products.find(product => product && product.url);
+    // Canonical outputs keep their version so they aren't normalized twice
+    return {
+      ...(data.schemaVersion ? { schemaVersion: data.schemaVersion } : {}),
+      source: inputPath,
+      store: data.store || (firstProduct ? new URL(firstProduct.url).origin : null),
+      currency: data.currency || null,
+      crawledAt: data.crawledAt || null,
+      collections: data.collections || [],
+      products
+    };
+  }
+
+  const files = (await fs.readdir(inputPath))
+    .filter(file => file.endsWith('.json') && !METADATA_FILES.includes(file))
+    .sort();
+
+  const productsByHandle = new Map();
+  const collectionsByHandle = new Map();
+  let crawledAt = null;
+  let listings = 0;
+
+  // Collections the crawler discovered, including ones a batched run hasn't reached yet
+  const metadataFile = path.join(inputPath, 'collections_metadata.json');
+  if (await fs.pathExists(metadataFile)) {
+    try {
+      const metadata = await fs.readJSON(metadataFile);
+      for (const collection of metadata.collections || []) {
+        collectionsByHandle.set(collection.handle, { ...collection, productCount: 0, crawled: false });
+      }
+    } catch (error) {
+      console.error(`Skipping collections_metadata.json: ${error.message}`);
+    }
+  }
+
+  for (const file of files) {
+    let data;
+    try {
+      data = await fs.readJSON(path.join(inputPath, file));
+    } catch (error) {
+      console.error(`Skipping ${file}: ${error.message}`);
+      continue;
+    }
+
+    if (!Array.isArray(data.products)) continue;
+
+    if (data.crawledAt && (!crawledAt || data.crawledAt > crawledAt)) {
+      crawledAt = data.crawledAt;
+    }
+
+    // The products.json snapshot from products mode isn't a collection
+    const collectionHandle = data.handle || null;
+    const collectionTitle = data.title || collectionHandle;
+
+    if (collectionHandle) {
+      collectionsByHandle.set(collectionHandle, {
+        ...(collectionsByHandle.get(collectionHandle) || {}),
+        handle: collectionHandle,
+        title: collectionTitle,
+        url: data.url || null,
+        description: data.description || null,
+        image: data.image || null,
+        productCount: data.products.length,
+        crawled: !data.error
+      });
+    }
+
+    for (const product of data.products) {
+      if (!product || !product.handle) continue;
+      listings++;
+
+      if (!productsByHandle.has(product.handle)) {
+        productsByHandle.set(product.handle, { ...product, categories: [...(product.categories || [])] });
+      }
+
+      const categories = productsByHandle.get(product.handle).categories;
+      if (collectionTitle && !categories.includes(collectionTitle)) {
+        categories.push(collectionTitle);
+      }
+    }
+  }
+
+  const firstProduct = productsByHandle.values().next().value;
+
+  if (listings > productsByHandle.size) {
+    console.log(`Merged ${listings} collection listings into ${productsByHandle.size} unique products`);
+  }
+
+  return {
+    source: inputPath,
+    store: firstProduct && firstProduct.url ? new URL(firstProduct.url).origin : null,
+    crawledAt,
+    collections: [...collectionsByHandle.values()],
+    products: [...productsByHandle.values()]
+  };
+}
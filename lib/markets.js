@@ -0,0 +1,68 @@
+import { toNumericId } from './load-products.js';
+import { toPrice, isAvailable } from './product-fields.js';
+
+// A locale subfolder at the start of a storefront path ("/en-ca/products/...")
+const LOCALE_PREFIX = /^\/[a-z]{2}(-[a-z]{2})?(?=\/(products|collections|cart)(\/|\.|$))/i;
+
+/**
+ * Parse --markets entries (comma-separated or repeated). A lowercase locale ("en-ca", "fr")
+ * is a Shopify Markets subfolder and is crawled under /en-ca/; an uppercase country code
+ * ("CA", "DE") is crawled with a ?country=CA context. Returns [{key, pathPrefix, country}].
+ */
+export function parseMarkets(values) {
+  const entries = [].concat(values || [])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  return [...new Set(entries)].map(entry => {
+    if (/^[A-Z]{2}$/.test(entry)) {
+      return { key: entry, pathPrefix: '', country: entry };
+    }
+
+    if (/^[a-z]{2}(-[a-z]{2})?$/.test(entry)) {
+      return { key: entry, pathPrefix: `/${entry}`, country: null };
+    }
+
+    throw new Error(`Invalid market "${entry}": use a locale subfolder like en-ca or a country code like CA`);
+  });
+}
+
+/**
+ * Rewrite a storefront URL for a market, replacing any locale subfolder it already has
+ */
+export function toMarketUrl(url, market) {
+  const marketUrl = new URL(url);
+  marketUrl.pathname = `${market.pathPrefix}${marketUrl.pathname.replace(LOCALE_PREFIX, '')}`;
+  if (market.country) {
+    marketUrl.searchParams.set('country', market.country);
+  }
+  return marketUrl.href;
+}
+
+/**
+ * Reduce a product crawled in a market to what differs between markets:
+ * {url, currency, price, compareAtPrice, available, variants: [{id, title, price, compareAtPrice, available}]}
+ */
+export function toMarketEntry(product) {
+  const variants = (product.variants || []).map(variant => ({
+    id: variant.id !== undefined && variant.id !== null ? toNumericId(variant.id) : null,
+    title: variant.title || null,
+    price: toPrice(variant.price),
+    compareAtPrice: toPrice(variant.compareAtPrice),
+    available: isAvailable(variant)
+  }));
+
+  const availability = variants.map(variant => variant.available);
+
+  return {
+    url: product.url || null,
+    currency: product.currency || null,
+    price: toPrice(product.price),
+    compareAtPrice: toPrice(product.compareAtPrice),
+    available: availability.includes(true)
+      ? true
+      : (availability.length > 0 && availability.every(value => value === false) ? false : null),
+    variants
+  };
+}
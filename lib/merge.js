@@ -0,0 +1,206 @@
+// Product fields that can be merged, in canonical order
+export const PRODUCT_FIELDS = [
+  'id', 'handle', 'title', 'url', 'description', 'descriptionHtml', 'vendor', 'productType',
+  'tags', 'categories', 'breadcrumbs', 'currency', 'price', 'compareAtPrice', 'onSale', 'available',
+  'rating', 'images', 'options', 'variants', 'markets', 'conflicts', 'createdAt', 'updatedAt', 'publishedAt'
+];
+
+export const VARIANT_FIELDS = [
+  'id', 'title', 'sku', 'barcode', 'price', 'compareAtPrice', 'available', 'quantityAvailable', 'options', 'image'
+];
+
+/**
+ * Default precedence for merging a sitemap_crawler.js (html) crawl with an api-crawler.js (api) crawl.
+ * Each field lists the sources to take it from in order, or "union" to combine arrays from every source.
+ * Keys starting with "variant." apply to the fields of matched variants; "default" covers everything else.
+ */
+export const DEFAULT_PRECEDENCE = {
+  'default': ['api', 'html'],
+  'tags': ['html', 'api'],
+  'breadcrumbs': ['html', 'api'],
+  'categories': 'union',
+  'variant.default': ['api', 'html']
+};
+
+/**
+ * A value counts as present when it carries data
+ */
+function isPresent(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+}
+
+/**
+ * Look up the precedence for a field, falling back to the default for its level
+ */
+function getPrecedence(precedence, field, sourceNames) {
+  const isVariant = field.startsWith('variant.');
+  const rule = precedence[field] || precedence[isVariant ? 'variant.default' : 'default'] || sourceNames;
+  if (rule === 'union') return rule;
+  // Sources the config doesn't mention come last, in input order
+  return [...rule, ...sourceNames.filter(name => !rule.includes(name))];
+}
+
+/**
+ * Merge one field across the candidate records: take it from the first source in
+ * precedence order that has it, or combine every source's array for "union".
+ * Returns {value, source}.
+ */
+function mergeField(candidates, field, key, precedence, sourceNames) {
+  const rule = getPrecedence(precedence, key, sourceNames);
+
+  if (rule === 'union') {
+    const values = [];
+    const sources = [];
+    for (const { source, record } of candidates) {
+      if (!isPresent(record[field])) continue;
+      sources.push(source);
+      [].concat(record[field]).forEach(item => {
+        if (!values.some(existing => JSON.stringify(existing) === JSON.stringify(item))) values.push(item);
+      });
+    }
+    return { value: values, source: sources.length > 0 ? sources.join('+') : null };
+  }
+
+  for (const name of rule) {
+    const candidate = candidates.find(c => c.source === name);
+    if (candidate && isPresent(candidate.record[field])) {
+      return { value: candidate.record[field], source: name };
+    }
+  }
+  return { value: null, source: null };
+}
+
+/**
+ * Key a variant by ID, or by its option values when the crawler found no ID
+ */
+function variantKeys(variant) {
+  const keys = [];
+  if (variant.id) keys.push(`id:${variant.id}`);
+  if (variant.options && variant.options.length > 0) keys.push(`options:${variant.options.map(o => o.value).join('/')}`);
+  if (variant.title) keys.push(`title:${variant.title}`);
+  return keys;
+}
+
+/**
+ * Merge the variants of matched products. The variants of the source that wins "variants"
+ * come first, followed by variants only another source found; a placeholder variant
+ * (no ID, titled "Default Title") is only kept when it is in the winning source. Each variant's fields
+ * are then merged with its matches in the other sources.
+ */
+function mergeVariants(candidates, precedence, sourceNames) {
+  const { value: baseVariants, source: baseSource } = mergeField(candidates, 'variants', 'variants', precedence, sourceNames);
+  if (!baseVariants) return { variants: [], provenance: {} };
+
+  // One group per variant, holding its record from each source that has it
+  const groups = baseVariants.map(variant => ({ keys: variantKeys(variant), matches: [{ source: baseSource, record: variant }] }));
+  for (const { source, record } of candidates) {
+    if (source === baseSource) continue;
+    for (const variant of record.variants || []) {
+      const keys = variantKeys(variant);
+      const group = groups.find(g => !g.matches.some(match => match.source === source) && keys.some(key => g.keys.includes(key)));
+      if (group) {
+        group.matches.push({ source, record: variant });
+      } else if (variant.id || (variant.title && variant.title !== 'Default Title')) {
+        groups.push({ keys, matches: [{ source, record: variant }] });
+      }
+    }
+  }
+
+  const provenance = {};
+  const variants = groups.map(({ keys, matches }) => {
+    const merged = {};
+    const fieldSources = {};
+    for (const field of VARIANT_FIELDS) {
+      const { value, source } = mergeField(matches, field, `variant.${field}`, precedence, sourceNames);
+      merged[field] = value;
+      if (source) fieldSources[field] = source;
+    }
+
+    // Required canonical fields keep their canonical empty values
+    merged.options = merged.options || [];
+    merged.title = merged.title || matches[0].record.title;
+    provenance[merged.id || keys[0]] = fieldSources;
+    return merged;
+  });
+
+  return { variants, provenance };
+}
+
+/**
+ * Merge canonical crawl outputs from several named sources.
+ *
+ * Products are matched by numeric product ID, then by handle. Every field is taken
+ * according to the precedence rules, and the source of each merged field is recorded
+ * in the returned provenance map: handle -> {sources, fields: {field: source name}},
+ * with variant fields under fields.variants keyed by variant ID.
+ */
+export function mergeCrawlOutputs(sources, precedence = DEFAULT_PRECEDENCE) {
+  const sourceNames = sources.map(source => source.name);
+  const groups = [];
+  const byId = new Map();
+  const byHandle = new Map();
+
+  for (const { name, data } of sources) {
+    for (const product of data.products) {
+      let group = (product.id && byId.get(product.id)) || byHandle.get(product.handle);
+
+      // A source only contributes one record per group
+      if (group && group.some(candidate => candidate.source === name)) {
+        group = null;
+      }
+      if (!group) {
+        group = [];
+        groups.push(group);
+      }
+
+      group.push({ source: name, record: product });
+      if (product.id) byId.set(product.id, group);
+      byHandle.set(product.handle, group);
+    }
+  }
+
+  const products = [];
+  const provenance = {};
+  const stats = { products: groups.length, matched: 0, onlyIn: Object.fromEntries(sourceNames.map(name => [name, 0])) };
+
+  for (const candidates of groups) {
+    if (candidates.length > 1) {
+      stats.matched++;
+    } else {
+      stats.onlyIn[candidates[0].source]++;
+    }
+
+    const merged = {};
+    const fieldSources = {};
+
+    for (const field of PRODUCT_FIELDS) {
+      if (field === 'variants') continue;
+      const { value, source } = mergeField(candidates, field, field, precedence, sourceNames);
+      merged[field] = value;
+      if (source) fieldSources[field] = source;
+    }
+
+    const { variants, provenance: variantProvenance } = mergeVariants(candidates, precedence, sourceNames);
+    merged.variants = variants;
+    fieldSources.variants = variantProvenance;
+
+    // Keep the canonical shape: arrays stay arrays, strings stay strings
+    for (const field of ['tags', 'categories', 'breadcrumbs', 'images', 'options']) {
+      merged[field] = merged[field] || [];
+    }
+    for (const field of ['title', 'url', 'description', 'descriptionHtml']) {
+      merged[field] = merged[field] || '';
+    }
+    merged.markets = merged.markets || {};
+    merged.conflicts = merged.conflicts || [];
+    merged.onSale = Boolean(merged.onSale);
+
+    products.push(Object.fromEntries(PRODUCT_FIELDS.map(field => [field, merged[field]])));
+    provenance[merged.handle] = { sources: candidates.map(c => c.source), fields: fieldSources };
+  }
+
+  return { products, provenance, stats };
+}
@@ -0,0 +1,220 @@
+// Symbols that identify a currency well enough to fall back on; "$" alone is assumed to be USD
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['AU$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['S$', 'SGD'],
+  ['R$', 'BRL'],
+  ['MX$', 'MXN'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['円', 'JPY'],
+  ['元', 'CNY'],
+  ['₩', 'KRW'],
+  ['₹', 'INR'],
+  ['₽', 'RUB'],
+  ['₺', 'TRY'],
+  ['₪', 'ILS'],
+  ['₱', 'PHP'],
+  ['฿', 'THB'],
+  ['₫', 'VND'],
+  ['zł', 'PLN'],
+  ['Kč', 'CZK'],
+  ['CHF', 'CHF'],
+  ['$', 'USD']
+];
+
+/**
+ * Parse a displayed price ("$1,299.00", "1.299,00 €", "¥12,800", "₹1,29,999.00", "CHF 1'299.50")
+ * into a decimal amount in major units. The decimal separator is inferred from the text unless
+ * the store's money format tells us (decimalSeparator "," or "."). A single separator followed by
+ * exactly three digits is read as a thousands separator.
+ *
+ * This function is also injected into product pages, so it must not use anything outside its body.
+ */
+export function parseMoney(text, decimalSeparator = null) {
+  if (text === null || text === undefined || text === '') return null;
+  if (typeof text === 'number') return isNaN(text) ? null : text;
+
+  // The first number in the text; ranges like "€10 – €20" give their lower bound
+  const match = String(text).replace(/[\u00a0\u202f]/g, ' ').match(/\d[\d.,'’ ]*/);
+  if (!match) return null;
+
+  // Spaces and apostrophes only ever group thousands
+  const number = match[0].trim().replace(/[ '’]/g, '');
+  const lastComma = number.lastIndexOf(',');
+  const lastDot = number.lastIndexOf('.');
+  let decimal = decimalSeparator;
+
+  if (!decimal) {
+    if (lastComma !== -1 && lastDot !== -1) {
+      decimal = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1 || lastDot !== -1) {
+      const separator = lastComma !== -1 ? ',' : '.';
+      const parts = number.split(separator);
+      decimal = parts.length === 2 && parts[1].length !== 3 ? separator : null;
+    }
+  }
+
+  const digits = decimal
+    ? number.split(decimal).map(part => part.replace(/[^\d]/g, '')).join('.')
+    : number.replace(/[^\d]/g, '');
+  const amount = parseFloat(digits);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Whether a string is an ISO 4217 currency code the runtime knows
+ */
+export function isCurrencyCode(code) {
+  if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) return false;
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: code });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Guess the currency from a displayed price or money format: an ISO code first, then a symbol
+ */
+export function detectCurrencyFromText(text) {
+  if (!text) return null;
+
+  const codes = String(text).match(/\b[A-Z]{3}\b/g) || [];
+  const code = codes.find(isCurrencyCode);
+  if (code) return code;
+
+  const symbol = CURRENCY_SYMBOLS.find(([sign]) => String(text).includes(sign));
+  return symbol ? symbol[1] : null;
+}
+
+// Minor-unit digits assumed for prices whose currency couldn't be detected
+export const DEFAULT_CURRENCY_DIGITS = 2;
+
+/**
+ * Number of minor-unit digits for a currency (2 for USD, 0 for JPY, 3 for KWD).
+ * Unknown or missing currencies get DEFAULT_CURRENCY_DIGITS; normalizeCrawlOutput
+ * reports the products that needed the fallback.
+ */
+export function currencyDigits(currency) {
+  if (!isCurrencyCode(currency)) return DEFAULT_CURRENCY_DIGITS;
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Convert a major-unit amount (12.5) to integer minor units (1250 for EUR, 13 for JPY)
+ */
+export function toMinorUnits(amount, currency) {
+  if (amount === null || amount === undefined || isNaN(amount)) return null;
+  return Math.round(amount * Math.pow(10, currencyDigits(currency)));
+}
+
+/**
+ * Convert integer minor units back to a major-unit amount
+ */
+export function fromMinorUnits(minor, currency) {
+  if (minor === null || minor === undefined) return null;
+  return minor / Math.pow(10, currencyDigits(currency));
+}
+
+/**
+ * Format integer minor units for display ("€1,299.00"), or a plain amount when the currency is unknown.
+ * wholeUnits drops the minor digits ("€10") for labels.
+ */
+export function formatMoney(minor, currency, { locale = 'en', wholeUnits = false } = {}) {
+  if (minor === null || minor === undefined) return '-';
+  const amount = fromMinorUnits(minor, currency);
+  if (!isCurrencyCode(currency)) return amount.toFixed(wholeUnits ? 0 : DEFAULT_CURRENCY_DIGITS);
+
+  const options = { style: 'currency', currency };
+  if (wholeUnits) {
+    options.minimumFractionDigits = 0;
+    options.maximumFractionDigits = 0;
+  }
+  return new Intl.NumberFormat(locale, options).format(amount);
+}
+
+/**
+ * Detect the store currency on a product page. Runs in the browser through page.evaluate,
+ * so it must not use anything outside its body. Returns {currency, moneyFormat, source}.
+ */
+export function detectPageCurrency() {
+  const result = { currency: null, moneyFormat: null, source: null };
+
+  // Shopify exposes the active (presentment) currency on every storefront page
+  if (window.Shopify && window.Shopify.currency && window.Shopify.currency.active) {
+    result.currency = window.Shopify.currency.active;
+    result.source = 'Shopify.currency';
+  }
+
+  if (!result.currency && window.ShopifyAnalytics && window.ShopifyAnalytics.meta && window.ShopifyAnalytics.meta.currency) {
+    result.currency = window.ShopifyAnalytics.meta.currency;
+    result.source = 'ShopifyAnalytics';
+  }
+
+  // JSON-LD offers carry priceCurrency
+  if (!result.currency) {
+    const findCurrency = (node) => {
+      if (!node || typeof node !== 'object') return null;
+      if (typeof node.priceCurrency === 'string') return node.priceCurrency;
+      for (const value of Object.values(node)) {
+        const found = findCurrency(value);
+        if (found) return found;
+      }
+      return null;
+    };
+
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const currency = findCurrency(JSON.parse(script.textContent));
+        if (currency) {
+          result.currency = currency;
+          result.source = 'json-ld';
+          break;
+        }
+      } catch (e) {
+        // Ignore malformed JSON-LD
+      }
+    }
+  }
+
+  if (!result.currency) {
+    const meta = document.querySelector('meta[property="og:price:currency"], meta[property="product:price:currency"], meta[itemprop="priceCurrency"]');
+    if (meta && meta.getAttribute('content')) {
+      result.currency = meta.getAttribute('content');
+      result.source = 'meta';
+    }
+  }
+
+  // The theme's money format ("{{amount_with_comma_separator}} €") tells the decimal separator
+  result.moneyFormat = (window.theme && (window.theme.moneyFormat || (window.theme.settings && window.theme.settings.moneyFormat))) ||
+    (window.Shopify && window.Shopify.money_format) ||
+    window.moneyFormat ||
+    null;
+
+  if (result.currency) {
+    result.currency = String(result.currency).trim().toUpperCase();
+  }
+
+  return result;
+}
+
+/**
+ * The decimal separator implied by a Shopify money format, if any
+ */
+export function decimalSeparatorFromFormat(moneyFormat) {
+  if (!moneyFormat) return null;
+  if (/amount_with_comma_separator|amount_no_decimals_with_comma_separator/.test(moneyFormat)) return ',';
+  if (/amount_with_apostrophe_separator|amount_with_period_and_space_separator|\{\{\s*amount\s*\}\}/.test(moneyFormat)) return '.';
+  return null;
+}
+
+// Source to install parseMoney in a page as window.__crawlerParseMoney before page.evaluate extraction
+export const PAGE_MONEY_PARSER = `window.__crawlerParseMoney = ${parseMoney.toString()};`;
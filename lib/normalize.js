@@ -0,0 +1,310 @@
+import { toNumericId } from './load-products.js';
+import { SCHEMA_VERSION } from './schema.js';
+import {
+  toPrice,
+  isAvailable,
+  imageUrl,
+  imageAlt,
+  getOptionNames,
+  getVariantOptions,
+  getTags,
+  stripHtml
+} from './product-fields.js';
+import { toMinorUnits, isCurrencyCode, DEFAULT_CURRENCY_DIGITS } from './money.js';
+
+/**
+ * Guess which crawler produced a raw output from its shape
+ */
+export function detectSource(data) {
+  if (data.schemaVersion) return data.source || null;
+  if (data.sitemap) return 'sitemap_crawler';
+
+  const product = (data.products || []).find(Boolean);
+  if (!product) return null;
+  if (String(product.id || '').startsWith('gid://') || (product.variants || []).some(v => v.availableForSale !== undefined)) {
+    return 'api-crawler';
+  }
+  if (product.createdAt !== undefined && product.id !== undefined) return 'json-crawler';
+  return 'index';
+}
+
+/**
+ * Optional ID as a numeric string
+ */
+function toId(id) {
+  return id === undefined || id === null || id === '' ? null : toNumericId(id);
+}
+
+/**
+ * Optional integer (dimensions, quantities)
+ */
+function toInteger(value) {
+  const number = parseInt(value, 10);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * A crawled price in the currency's integer minor units
+ */
+function toAmount(value, currency) {
+  return toMinorUnits(toPrice(value), currency);
+}
+
+/**
+ * Compare-at prices of zero mean "not on sale" in the Storefront API
+ */
+function toCompareAtPrice(value, currency) {
+  const price = toAmount(value, currency);
+  return price ? price : null;
+}
+
+/**
+ * Uppercase ISO currency code, or null when the crawler didn't find a valid one
+ */
+function toCurrency(currency) {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : null;
+  return isCurrencyCode(code) ? code : null;
+}
+
+/**
+ * Normalize an image given as a URL string or an {url|src, altText|alt, width, height} object
+ */
+export function normalizeImage(image) {
+  const url = imageUrl(image);
+  if (!url) return null;
+
+  return {
+    url,
+    altText: imageAlt(image),
+    width: typeof image === 'object' ? toInteger(image.width) : null,
+    height: typeof image === 'object' ? toInteger(image.height) : null
+  };
+}
+
+/**
+ * Normalize a variant; prices fall back to the product's when the crawler only found one
+ */
+function normalizeVariant(product, variant, currency) {
+  const options = getVariantOptions(product, variant)
+    .slice(0, 3)
+    .map(option => ({ name: String(option.name), value: String(option.value) }));
+
+  const price = toAmount(variant.price, currency);
+
+  return {
+    id: toId(variant.id),
+    title: variant.title || options.map(option => option.value).join(' / ') || 'Default Title',
+    sku: variant.sku || null,
+    barcode: variant.barcode || null,
+    price: price !== null ? price : toAmount(product.price, currency),
+    compareAtPrice: toCompareAtPrice(variant.compareAtPrice, currency),
+    available: isAvailable(variant),
+    quantityAvailable: toInteger(variant.quantityAvailable),
+    options,
+    image: normalizeImage(variant.image)
+  };
+}
+
+/**
+ * Per-market prices from a --markets crawl, converted to minor units of each market's currency
+ */
+function normalizeMarkets(markets) {
+  return Object.fromEntries(Object.entries(markets || {}).map(([key, market]) => {
+    const currency = toCurrency(market.currency);
+    return [key, {
+      url: market.url || null,
+      currency,
+      price: toAmount(market.price, currency),
+      compareAtPrice: toCompareAtPrice(market.compareAtPrice, currency),
+      available: typeof market.available === 'boolean' ? market.available : null,
+      variants: (market.variants || []).map(variant => ({
+        id: toId(variant.id),
+        title: variant.title || null,
+        price: toAmount(variant.price, currency),
+        compareAtPrice: toCompareAtPrice(variant.compareAtPrice, currency),
+        available: typeof variant.available === 'boolean' ? variant.available : null
+      }))
+    }];
+  }));
+}
+
+/**
+ * Aggregate rating from the page's structured data, as {value, count}
+ */
+function normalizeRating(rating) {
+  const value = rating ? parseFloat(rating.value) : NaN;
+  if (isNaN(value)) return null;
+  return { value, count: toInteger(rating.count) };
+}
+
+/**
+ * Disagreements between the product JSON and the page's structured data; prices are
+ * converted to minor units like every other price
+ */
+function normalizeConflicts(conflicts, currency) {
+  return (conflicts || []).map(conflict => {
+    const convert = (value) => (conflict.field === 'price' ? toAmount(value, currency) : value);
+    return {
+      field: conflict.field,
+      variantId: toId(conflict.variantId),
+      productJson: convert(conflict.productJson),
+      structuredData: convert(conflict.structuredData),
+      source: conflict.source || null
+    };
+  });
+}
+
+/**
+ * Product options as {name, values}; values missing from the crawl are collected from the variants
+ */
+function normalizeOptions(product, variants) {
+  const names = getOptionNames(product);
+  const fromVariants = (name, index) => [...new Set(variants
+    .map(variant => (variant.options.find(option => option.name === name) || variant.options[index] || {}).value)
+    .filter(Boolean))];
+
+  if (names.length === 0) {
+    const variantNames = (variants[0] ? variants[0].options : []).map(option => option.name);
+    return variantNames.map((name, index) => ({ name, values: fromVariants(name, index) }));
+  }
+
+  return names.slice(0, 3).map((name, index) => {
+    const option = (product.options || [])[index];
+    const values = option && Array.isArray(option.values) && option.values.length > 0
+      ? option.values.map(String)
+      : fromVariants(name, index);
+    return { name: String(name), values };
+  });
+}
+
+/**
+ * Normalize one product from any crawler into the canonical shape. Prices become integer
+ * minor units of the product's currency, falling back to the store currency.
+ */
+export function normalizeProduct(product, { store = null, currency = null } = {}) {
+  const productCurrency = toCurrency(product.currency) || toCurrency(currency);
+  const rawVariants = product.variants && product.variants.length > 0
+    ? product.variants
+    : [{ title: 'Default Title', price: product.price, compareAtPrice: product.compareAtPrice, available: product.available }];
+  const variants = rawVariants.map(variant => normalizeVariant(product, variant, productCurrency));
+
+  const variantPrices = variants.map(variant => variant.price).filter(price => price !== null);
+  const variantCompareAt = variants.map(variant => variant.compareAtPrice).filter(price => price !== null);
+  const price = toAmount(product.price, productCurrency) !== null
+    ? toAmount(product.price, productCurrency)
+    : (variantPrices.length > 0 ? Math.min(...variantPrices) : null);
+  const compareAtPrice = toCompareAtPrice(product.compareAtPrice, productCurrency) ||
+    (variantCompareAt.length > 0 ? Math.max(...variantCompareAt) : null);
+
+  // Compared per variant, since the product-level price and compare-at price can come from different
+  // variants; crawls with no variant compare-at prices fall back to the product-level ones
+  const onSale = variantCompareAt.length > 0
+    ? variants.some(variant => variant.price !== null && variant.compareAtPrice !== null && variant.compareAtPrice > variant.price)
+    : price !== null && compareAtPrice !== null && compareAtPrice > price;
+
+  const availability = variants.map(variant => variant.available);
+  const available = availability.includes(true) ? true : (availability.every(value => value === false) ? false : null);
+
+  // The endpoints store HTML in description; the Storefront API has both
+  const descriptionHtml = product.descriptionHtml || product.description || '';
+  const description = product.descriptionHtml && product.description ? product.description : stripHtml(descriptionHtml);
+
+  const categories = [...new Set([...(product.categories || []), ...(product.collections || [])]
+    .map(category => (typeof category === 'string' ? category : category && category.title))
+    .filter(Boolean))];
+
+  return {
+    id: toId(product.id),
+    handle: product.handle,
+    title: product.title || '',
+    url: product.url || (store ? `${store}/products/${product.handle}` : ''),
+    description,
+    descriptionHtml,
+    vendor: product.vendor || null,
+    productType: product.productType || null,
+    tags: getTags(product),
+    categories,
+    breadcrumbs: Array.isArray(product.breadcrumbs) ? product.breadcrumbs.filter(Boolean).map(String) : [],
+    currency: productCurrency,
+    price,
+    compareAtPrice,
+    onSale,
+    available,
+    rating: normalizeRating(product.rating),
+    images: (product.images || []).map(normalizeImage).filter(Boolean),
+    options: normalizeOptions(product, variants),
+    variants,
+    markets: normalizeMarkets(product.markets),
+    conflicts: normalizeConflicts(product.conflicts, productCurrency),
+    createdAt: product.createdAt || null,
+    updatedAt: product.updatedAt || null,
+    publishedAt: product.publishedAt || null
+  };
+}
+
+/**
+ * The currency most products are priced in
+ */
+export function primaryCurrency(products) {
+  const counts = new Map();
+  products.forEach(product => {
+    if (product.currency) counts.set(product.currency, (counts.get(product.currency) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([currency]) => currency)[0] || null;
+}
+
+/**
+ * Normalize a collection entry; collections without a handle (or a URL to take one from) are dropped
+ */
+function normalizeCollection(collection) {
+  const handle = collection.handle || ((collection.url || '').match(/\/collections\/([^/?#]+)/) || [])[1];
+  if (!handle) return null;
+
+  const normalized = {
+    id: toId(collection.id),
+    handle,
+    title: collection.title || handle,
+    url: collection.url || null,
+    description: collection.description || null,
+    image: imageUrl(collection.image),
+    productCount: toInteger(collection.productCount)
+  };
+  if (typeof collection.crawled === 'boolean') {
+    normalized.crawled = collection.crawled;
+  }
+  return normalized;
+}
+
+/**
+ * Convert a raw crawler output into the canonical schema. Outputs that are already
+ * canonical are returned unchanged; older canonical versions are converted like raw output.
+ * Priced products without a detected currency are counted in a warning, since their
+ * minor units rest on an assumed number of decimal places.
+ */
+export function normalizeCrawlOutput(data, { source } = {}) {
+  if (data.schemaVersion === SCHEMA_VERSION) return data;
+
+  const products = (data.products || []).filter(product => product && product.handle);
+  const firstUrl = (products.find(product => product.url) || {}).url;
+  const store = data.store
+    ? new URL(/^https?:\/\//i.test(data.store) ? data.store : `https://${data.store}`).origin
+    : (firstUrl ? new URL(firstUrl).origin : null);
+
+  const normalized = products.map(product => normalizeProduct(product, { store, currency: data.currency }));
+
+  const unknownCurrency = normalized.filter(product => !product.currency && product.price !== null).length;
+  if (unknownCurrency > 0) {
+    console.log(`Warning: ${unknownCurrency} products have no known currency; their prices were converted ` +
+      `to minor units assuming ${DEFAULT_CURRENCY_DIGITS} decimal places`);
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    source: source || detectSource(data),
+    store,
+    currency: toCurrency(data.currency) || primaryCurrency(normalized),
+    crawledAt: data.crawledAt || null,
+    collections: (data.collections || []).map(normalizeCollection).filter(Boolean),
+    products: normalized
+  };
+}
@@ -0,0 +1,922 @@
+import { detectPageCurrency, decimalSeparatorFromFormat, detectCurrencyFromText, PAGE_MONEY_PARSER } from './money.js';
+import { extractStructuredData, mergeStructuredData, reconcileStructuredData } from './structured-data.js';
+import { enumerateVariants } from './variant-enumeration.js';
+
+/**
+ * Page-side extraction shared by index.js and sitemap_crawler.js. Every step reads its
+ * selectors from the extractor in use (see lib/extractors.js), and an extractor's hooks
+ * replace the matching step entirely.
+ */
+
+// Source of the selector helpers installed in each page as window.__crawlerQuery / __crawlerQueryAll.
+// A selector is a string (first match in document order) or an array tried in turn.
+const PAGE_QUERY_HELPERS = `
+  window.__crawlerQuery = (selectors, root = document) => {
+    for (const selector of [].concat(selectors || [])) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  };
+  window.__crawlerQueryAll = (selectors, root = document) => {
+    const list = [].concat(selectors || []);
+    return list.length > 0 ? Array.from(root.querySelectorAll(list.join(', '))) : [];
+  };
+`;
+
+/**
+ * Install the selector helpers in the current page
+ */
+async function installHelpers(page) {
+  await page.evaluate(PAGE_QUERY_HELPERS);
+}
+
+/**
+ * Get the collection links from the /collections list page
+ */
+export async function getCollectionLinks(page, extractor) {
+  await installHelpers(page);
+  return page.evaluate((selectors) => {
+    const links = window.__crawlerQueryAll(selectors.links)
+      .filter(link => {
+        const href = link.getAttribute('href');
+        // Filter out links to specific products within collections
+        return href && href.includes('/collections/') && !href.includes('/products/');
+      })
+      .map(link => ({
+        url: link.href,
+        title: link.textContent.trim() || link.getAttribute('title') || 'Unknown Collection'
+      }))
+      .filter(item => item.title && item.title !== 'Unknown Collection');
+
+    // Remove duplicates
+    return Array.from(new Map(links.map(item => [item.url, item])).values());
+  }, extractor.selectors.collectionList);
+}
+
+/**
+ * Get a collection page's title and description
+ */
+export async function getCollectionDetails(page, extractor) {
+  await installHelpers(page);
+  return page.evaluate((selectors) => ({
+    title: window.__crawlerQuery(selectors.title)?.textContent.trim() || '',
+    description: window.__crawlerQuery(selectors.description)?.innerHTML.trim() || ''
+  }), extractor.selectors.collection);
+}
+
+/**
+ * Get the product links on a collection page, in listing order and without duplicates
+ */
+export async function getProductLinks(page, extractor) {
+  if (extractor.getProductLinks) {
+    return [...new Set(await extractor.getProductLinks(page, extractor.selectors))];
+  }
+
+  await installHelpers(page);
+  const links = await page.evaluate((selectors) => {
+    return window.__crawlerQueryAll(selectors.productLinks)
+      .filter(link => link.href && link.href.includes('/products/'))
+      .map(link => link.href);
+  }, extractor.selectors.collection);
+
+  return [...new Set(links)];
+}
+
+/**
+ * Get the highest page number shown in the collection's pagination, or null when the
+ * page has no numbered pagination
+ */
+export async function getTotalPages(page, extractor) {
+  if (extractor.getTotalPages) {
+    return extractor.getTotalPages(page, extractor.selectors);
+  }
+
+  await installHelpers(page);
+  const pageNumbers = await page.evaluate((selectors) => {
+    const paginationEl = window.__crawlerQuery(selectors.container);
+    if (!paginationEl) return null;
+    return window.__crawlerQueryAll(selectors.pageNumbers, paginationEl)
+      .map(el => parseInt(el.textContent.trim()))
+      .filter(number => !isNaN(number));
+  }, extractor.selectors.pagination);
+
+  return pageNumbers && pageNumbers.length > 0 ? Math.max(...pageNumbers) : null;
+}
+
+/**
+ * Get the absolute URL of the next listing page (link rel="next"), or null
+ */
+export async function getNextPageUrl(page, extractor) {
+  await installHelpers(page);
+  const href = await page.evaluate((selectors) => {
+    const nextLink = window.__crawlerQuery(selectors.next);
+    return nextLink ? nextLink.getAttribute('href') : null;
+  }, extractor.selectors.pagination);
+
+  return href ? new URL(href, page.url()).href : null;
+}
+
+/**
+ * Find the pagination link to a given page number, or null
+ */
+export async function findPaginationLink(page, extractor, targetPage) {
+  await installHelpers(page);
+  return page.evaluate((selectors, targetPage) => {
+    for (const link of window.__crawlerQueryAll(selectors.links)) {
+      if (link.textContent.trim() === targetPage.toString() ||
+          link.href.includes(`page=${targetPage}`)) {
+        return link.href;
+      }
+    }
+    return null;
+  }, extractor.selectors.pagination, targetPage);
+}
+
+/**
+ * Extract the product JSON a theme renders into the page, when it has one
+ */
+async function getProductJson(page, selectors) {
+  const productJsonData = await page.evaluate((selectors) => {
+    try {
+      // Look for the script tag with product JSON data
+      const scriptElement = window.__crawlerQuery(selectors.json);
+
+      if (scriptElement) {
+        // Parse the JSON content from the script tag
+        const productJson = JSON.parse(scriptElement.textContent);
+        return {
+          productJson,
+          found: true,
+          source: 'product-template'
+        };
+      }
+
+      // Try alternative methods if the standard script tag is not found
+      // Look for script tags with application/json type that might contain product data
+      const jsonScripts = Array.from(document.querySelectorAll('script[type="application/json"]'));
+      for (const script of jsonScripts) {
+        try {
+          if (script.id && script.id.includes('Product')) {
+            const data = JSON.parse(script.textContent);
+            return {
+              productJson: data,
+              found: true,
+              source: script.id
+            };
+          }
+        } catch (e) {
+          // Continue to next script if parsing fails
+        }
+      }
+
+      // Look for inline product data in other script tags
+      const allScripts = Array.from(document.querySelectorAll('script:not([src])'));
+      for (const script of allScripts) {
+        const content = script.textContent;
+
+        // Try to find product JSON in various formats
+        if (content.includes('var product =') ||
+            content.includes('window.product =') ||
+            content.includes('Product =')) {
+
+          try {
+            // Extract product JSON from script content
+            const productMatch = content.match(/var\s+product\s*=\s*({[\s\S]*?});/) ||
+                               content.match(/window\.product\s*=\s*({[\s\S]*?});/) ||
+                               content.match(/Product\s*=\s*({[\s\S]*?});/);
+
+            if (productMatch && productMatch[1]) {
+              // Clean the JSON string and parse it
+              const productJsonStr = productMatch[1].replace(/'/g, '"');
+              const productData = JSON.parse(productJsonStr);
+
+              return {
+                productJson: productData,
+                found: true,
+                source: 'script-variable'
+              };
+            }
+          } catch (e) {
+            // Continue if parsing fails
+          }
+        }
+      }
+
+      return {
+        found: false,
+        source: null
+      };
+    } catch (error) {
+      return {
+        found: false,
+        error: error.message
+      };
+    }
+  }, selectors);
+
+  // Log whether we found product JSON data
+  if (productJsonData.found) {
+    console.log(`Found product JSON data from source: ${productJsonData.source}`);
+    console.log(`Product has ${productJsonData.productJson.variants ? productJsonData.productJson.variants.length : 0} variants and ${productJsonData.productJson.images ? productJsonData.productJson.images.length : 0} images`);
+  } else {
+    console.log('No product JSON data found in script tags, falling back to DOM scraping');
+  }
+
+  return productJsonData;
+}
+
+/**
+ * The built-in product extraction: product JSON first, then the DOM, then the page's
+ * structured data (JSON-LD, microdata, Open Graph) to fill gaps and cross-check.
+ * With enumerateVariants, a page without product JSON has its option selectors driven
+ * to find the real variants instead of a single placeholder.
+ */
+async function extractProductFromPage(page, extractor, { enumerateVariants: enumerate = false } = {}) {
+  const selectors = extractor.selectors.product;
+  const productJsonData = await getProductJson(page, selectors);
+
+  // Detect the store currency and install the locale-aware money parser in the page
+  const pageCurrency = await page.evaluate(detectPageCurrency);
+  const decimalSeparator = decimalSeparatorFromFormat(pageCurrency.moneyFormat);
+  await page.evaluate(PAGE_MONEY_PARSER);
+
+  // Extract product details
+  const productData = await page.evaluate((selectors, productJsonData, decimalSeparator) => {
+    const query = window.__crawlerQuery;
+    const queryAll = window.__crawlerQueryAll;
+
+    // Displayed prices use the store's decimal separator when its money format tells us
+    const parseMoney = (moneyString) => window.__crawlerParseMoney(moneyString, decimalSeparator);
+
+    // Product JSON rendered by Liquid holds integer cents; strings are decimal amounts
+    const parseJsonPrice = (value) => {
+      if (value === null || value === undefined || value === '') return null;
+      return typeof value === 'number' ? value / 100 : window.__crawlerParseMoney(String(value), '.');
+    };
+
+    try {
+      // Initialize variables based on existing DOM content
+      let title, description, price, compareAtPrice, onSale, images, variants, options;
+
+      // Use the productJson data if found
+      if (productJsonData && productJsonData.found && productJsonData.productJson) {
+        const productJson = productJsonData.productJson;
+
+        // Basic product information from JSON
+        title = productJson.title || '';
+        description = productJson.description || '';
+
+        // Price information
+        price = parseJsonPrice(productJson.price_min !== undefined ? productJson.price_min : productJson.price);
+        compareAtPrice = parseJsonPrice(productJson.compare_at_price_min !== undefined
+          ? productJson.compare_at_price_min
+          : productJson.compare_at_price) || null;
+
+        // On sale status
+        onSale = compareAtPrice !== null && compareAtPrice > price;
+
+        // Get all product images
+        if (productJson.images && Array.isArray(productJson.images)) {
+          // Process image URLs
+          images = productJson.images.map(img => {
+            // Handle various image formats (string or object)
+            let imageUrl;
+            if (typeof img === 'string') {
+              imageUrl = img;
+            } else if (img.src) {
+              imageUrl = img.src;
+            } else {
+              return null;
+            }
+
+            // Make relative URLs absolute
+            if (!imageUrl.startsWith('http')) {
+              imageUrl = new URL(imageUrl, window.location.origin).href;
+            }
+
+            // For Shopify CDN images, try to get high resolution
+            if (imageUrl.includes('cdn.shopify.com')) {
+              imageUrl = imageUrl.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
+            }
+
+            return imageUrl;
+          }).filter(Boolean); // Remove null values
+        } else {
+          images = [];
+        }
+
+        // Get product options
+        if (productJson.options && Array.isArray(productJson.options)) {
+          options = productJson.options.map(opt => {
+            if (typeof opt === 'string') {
+              // Handle case where options might be just strings
+              return {
+                name: opt,
+                values: []
+              };
+            } else {
+              // Handle object format with name and values
+              return {
+                name: opt.name,
+                values: opt.values || []
+              };
+            }
+          });
+        } else {
+          options = [];
+        }
+
+        // Process variants with images
+        if (productJson.variants && Array.isArray(productJson.variants)) {
+          // Create a map of variant IDs to featured images
+          const variantImageMap = new Map();
+
+          // Map variant IDs to images
+          if (productJson.images && Array.isArray(productJson.images)) {
+            productJson.images.forEach(img => {
+              if (img.variant_ids && Array.isArray(img.variant_ids)) {
+                const imageUrl = img.src;
+                // Make URL absolute and high-res
+                let fullImageUrl = imageUrl;
+                if (!fullImageUrl.startsWith('http')) {
+                  fullImageUrl = new URL(fullImageUrl, window.location.origin).href;
+                }
+
+                if (fullImageUrl.includes('cdn.shopify.com')) {
+                  fullImageUrl = fullImageUrl.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
+                }
+
+                // Map this image to all its variant IDs
+                img.variant_ids.forEach(variantId => {
+                  variantImageMap.set(variantId.toString(), fullImageUrl);
+                });
+              }
+            });
+          }
+
+          // Process all variants
+          variants = productJson.variants.map(variant => {
+            // Get price and compare at price
+            const variantPrice = parseJsonPrice(variant.price);
+            const variantComparePrice = parseJsonPrice(variant.compare_at_price);
+
+            // Try to get variant image from different sources
+            let variantImage = null;
+
+            // Method 1: Check featured_image directly on variant
+            if (variant.featured_image && variant.featured_image.src) {
+              variantImage = variant.featured_image.src;
+
+              // Make URL absolute and high-res
+              if (!variantImage.startsWith('http')) {
+                variantImage = new URL(variantImage, window.location.origin).href;
+              }
+
+              if (variantImage.includes('cdn.shopify.com')) {
+                variantImage = variantImage.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
+              }
+            }
+            // Method 2: Check variant ID in the image map
+            else if (variantImageMap.has(variant.id.toString())) {
+              variantImage = variantImageMap.get(variant.id.toString());
+            }
+            // Method 3: Fall back to product's first image
+            else if (images && images.length > 0) {
+              variantImage = images[0];
+            }
+
+            // Build variant object
+            return {
+              id: variant.id,
+              title: variant.title,
+              price: variantPrice || price,
+              compareAtPrice: variantComparePrice || null,
+              sku: variant.sku || '',
+              barcode: variant.barcode || null,
+              available: variant.available !== undefined ? variant.available : (variant.inventory_quantity > 0),
+              option1: variant.option1 || null,
+              option2: variant.option2 || null,
+              option3: variant.option3 || null,
+              options: [variant.option1, variant.option2, variant.option3].filter(Boolean),
+              image: variantImage
+            };
+          });
+        } else {
+          variants = [];
+        }
+      }
+
+      // If we didn't get data from JSON, fall back to DOM scraping
+      if (!title) {
+        // Collect all script tags for later use
+        const scriptTags = Array.from(document.querySelectorAll('script:not([src])'));
+
+        // Basic product info
+        title = query(selectors.title)?.textContent.trim();
+
+        // Get full description - try different selectors used by Shopify themes
+        description = [].concat(selectors.description || [])
+          .map(selector => document.querySelector(selector)?.innerHTML.trim())
+          .find(Boolean);
+
+        // Price information
+        price = null;
+        compareAtPrice = null;
+        onSale = false;
+
+        // Try multiple selectors for price elements
+        const priceElement = query(selectors.price);
+
+        if (priceElement) {
+          // Remove hidden elements that might contain different prices
+          const priceText = priceElement.textContent.trim();
+          price = parseMoney(priceText);
+
+          // Check for compare-at price (original price before discount)
+          const compareAtEl = query(selectors.compareAtPrice);
+
+          if (compareAtEl) {
+            const compareText = compareAtEl.textContent.trim();
+            compareAtPrice = parseMoney(compareText);
+            onSale = compareAtPrice > price;
+          }
+        }
+
+        // Get all product images with high resolution
+        images = [];
+
+        // Try to get images from structured data first
+        const jsonLds = document.querySelectorAll('script[type="application/ld+json"]');
+        let foundImagesInJson = false;
+
+        for (const jsonLd of jsonLds) {
+          try {
+            const data = JSON.parse(jsonLd.textContent);
+            if (data && data['@type'] === 'Product' && data.image) {
+              if (Array.isArray(data.image)) {
+                // Process each image to ensure it's a full URL
+                data.image.forEach(img => {
+                  if (typeof img === 'string') {
+                    // Ensure it's an absolute URL
+                    const fullUrl = new URL(img, window.location.origin).href;
+                    images.push(fullUrl);
+                  }
+                });
+              } else if (typeof data.image === 'string') {
+                // Ensure it's an absolute URL
+                const fullUrl = new URL(data.image, window.location.origin).href;
+                images.push(fullUrl);
+              }
+              foundImagesInJson = true;
+              break;
+            }
+          } catch (e) {
+            // Continue if JSON parsing fails
+          }
+        }
+
+        // If no images found in JSON-LD, try DOM
+        if (!foundImagesInJson || images.length === 0) {
+          // Look for image elements
+          const imageElements = queryAll(selectors.images);
+
+          imageElements.forEach(img => {
+            // Try multiple sources for the image URL
+            let src = img.getAttribute('src') ||
+                     img.getAttribute('data-src') ||
+                     img.getAttribute('data-zoom-image') ||
+                     img.getAttribute('data-full-resolution') ||
+                     img.getAttribute('data-image') ||
+                     img.getAttribute('data-zoom-src') || '';
+
+            // For empty src but backgroundImage style
+            if (!src && img.style && img.style.backgroundImage) {
+              const bgMatch = img.style.backgroundImage.match(/url\(['"]?(.*?)['"]?\)/);
+              if (bgMatch && bgMatch[1]) {
+                src = bgMatch[1];
+              }
+            }
+
+            // Skip if still no src
+            if (!src) return;
+
+            // Make relative URLs absolute
+            if (src && !src.startsWith('http')) {
+              src = new URL(src, window.location.origin).href;
+            }
+
+            // Try to get high resolution version
+            if (src.includes('_small') || src.includes('_medium') || src.includes('_large')) {
+              src = src.replace(/_(?:small|medium|large|compact|grande)\./, '.');
+            }
+
+            // For Shopify CDN images, try to get the largest version
+            if (src.includes('cdn.shopify.com')) {
+              // Replace size parameter with 2048x2048 for high resolution
+              src = src.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
+            }
+
+            if (src && !images.includes(src)) {
+              images.push(src);
+            }
+          });
+        }
+
+        // Extract variants from DOM if not already set from JSON
+        if (!variants || variants.length === 0) {
+          // Try to get variants from product form
+          const variantElements = queryAll(selectors.options);
+
+          if (variantElements.length > 0) {
+            options = variantElements.map(el => {
+              const optionName = el.getAttribute('data-option-name') ||
+                               el.getAttribute('data-option') ||
+                               query(selectors.optionName, el)?.textContent.trim() ||
+                               'Option';
+
+              const optionValues = queryAll(selectors.optionValues, el)
+                .map(input => input.value || input.getAttribute('data-value') || input.textContent.trim())
+                .filter(v => v);
+
+              return {
+                name: optionName,
+                values: optionValues
+              };
+            });
+
+            // If we have option data but no variants, create basic variant objects
+            if (options.length > 0) {
+              // For simplicity, just create a dummy variant since we don't have accurate price data for each combination
+              variants = [{
+                title: 'Default Title',
+                price: price,
+                compareAtPrice: compareAtPrice,
+                available: true,
+                options: options,
+                // Add default image to the variant
+                image: images && images.length > 0 ? images[0] : null
+              }];
+            }
+          } else {
+            // Add a default variant
+            variants = [{
+              title: 'Default Title',
+              price: price,
+              compareAtPrice: compareAtPrice,
+              available: true,
+              // Add default image to the variant
+              image: images && images.length > 0 ? images[0] : null
+            }];
+          }
+        }
+      }
+
+      // Get product type and vendor
+      const productType = query(selectors.productType)?.textContent.trim() || null;
+
+      const vendor = query(selectors.vendor)?.textContent.trim() || null;
+
+      // Get breadcrumbs for categories
+      const breadcrumbs = queryAll(selectors.breadcrumbs)
+        .map(crumb => crumb.textContent.trim())
+        .filter(text => text && !text.includes('Home') && !text.includes(title));
+
+      // Get product handle from URL
+      const url = window.location.href;
+      const handle = url.split('/products/')[1]?.split('?')[0] || '';
+
+      // Tags
+      const tags = queryAll(selectors.tags)
+        .map(tag => tag.textContent.trim());
+
+      // Meta keywords can sometimes have tags/categories
+      const metaKeywords = document.querySelector('meta[name="keywords"]')?.getAttribute('content')?.split(',').map(k => k.trim()) || [];
+
+      // Determine sale status from page elements if compareAtPrice is null
+      const hasSaleBadge = !!query(selectors.saleBadge);
+
+      return {
+        url,
+        handle,
+        title,
+        description,
+        price,
+        compareAtPrice,
+        onSale: onSale || hasSaleBadge,
+        images,
+        variants,
+        options,
+        productType,
+        vendor,
+        breadcrumbs,
+        tags: [...tags, ...metaKeywords]
+      };
+    } catch (error) {
+      return { error: error.message, trace: error.stack };
+    }
+  }, selectors, productJsonData, decimalSeparator);
+
+  if (productData.error) {
+    console.error(`Error extracting data for ${page.url()}: ${productData.error}`);
+    if (productData.trace) {
+      console.error(`Stack trace: ${productData.trace}`);
+    }
+    return null;
+  }
+
+  // Currency from the page, or guessed from the theme's money format
+  productData.currency = pageCurrency.currency || detectCurrencyFromText(pageCurrency.moneyFormat);
+
+  if (enumerate && !productJsonData.found) {
+    const variants = await enumerateVariants(page, extractor, productData.options, { decimalSeparator });
+    if (variants) {
+      // Like price_min in the product JSON: the lowest variant price
+      const prices = variants.map(variant => variant.price).filter(price => price !== null);
+      if (prices.length > 0) productData.price = Math.min(...prices);
+      productData.variants = variants;
+      productData.variantsEnumerated = true;
+    }
+  }
+
+  // Structured data fills what's missing; disagreements with the product JSON are recorded
+  const structured = mergeStructuredData(await page.evaluate(extractStructuredData, decimalSeparator));
+  reconcileStructuredData(productData, structured, { fromProductJson: productJsonData.found });
+  if (productData.conflicts && productData.conflicts.length > 0) {
+    console.log(`Structured data disagrees with the product JSON on: ${[...new Set(productData.conflicts.map(conflict => conflict.field))].join(', ')}`);
+  }
+
+  return productData;
+}
+
+/**
+ * Extract a product from the page the browser is on. Returns the product data, or null
+ * when extraction failed. The extractor's extractProduct hook replaces the built-in
+ * extraction (it gets extractDefault to run it anyway), and transformProduct can adjust
+ * the result either way. Options: {enumerateVariants} (see extractProductFromPage).
+ */
+export async function extractProduct(page, extractor, options = {}) {
+  await installHelpers(page);
+
+  const extractDefault = () => extractProductFromPage(page, extractor, options);
+  let productData = extractor.extractProduct
+    ? await extractor.extractProduct(page, { url: page.url(), selectors: extractor.selectors, extractDefault })
+    : await extractDefault();
+
+  if (productData && extractor.transformProduct) {
+    productData = await extractor.transformProduct(productData, page);
+  }
+
+  return productData || null;
+}
+
+/**
+ * The extra variant heuristics index.js applies after extraction: estimate compare-at
+ * prices when the page shows a sale badge, and match variants to images through the
+ * theme's product JSON, thumbnails and option swatches
+ */
+export async function inferVariantDetails(page, extractor, productData) {
+  await installHelpers(page);
+
+  const variants = await page.evaluate((selectors, variants, images) => {
+    const query = window.__crawlerQuery;
+    const queryAll = window.__crawlerQueryAll;
+
+    // Determine sale status from page elements if compareAtPrice is null
+    const hasSaleBadge = !!query(selectors.saleBadge);
+
+    // Set default compareAtPrice for variants if missing but item appears to be on sale
+    if (hasSaleBadge && variants.length > 0) {
+      variants.forEach(variant => {
+        // Only set compareAtPrice if it's null and we have a price
+        if (variant.compareAtPrice === null && variant.price) {
+          // Estimate compareAtPrice as 15% higher than current price as a fallback
+          variant.compareAtPrice = Math.round((variant.price * 1.15) * 100) / 100;
+          variant.estimatedComparePrice = true; // Flag this as an estimated value
+        }
+      });
+    }
+
+    // Try to extract option_value -> image mapping from product JSON data
+    try {
+      // Find scripts containing productData with variant images
+      const shopifyProductJson = query(selectors.json);
+      if (shopifyProductJson) {
+        const productData = JSON.parse(shopifyProductJson.textContent);
+        // Create direct variant ID to image mapping
+        if (productData && productData.images && productData.variants) {
+          const variantIdToImageMap = new Map();
+
+          // Some shops store variant_ids directly on images
+          productData.images.forEach(image => {
+            if (image.variant_ids && Array.isArray(image.variant_ids)) {
+              image.variant_ids.forEach(variantId => {
+                let imageUrl = typeof image === 'string' ? image : image.src;
+                // Make relative URLs absolute
+                if (!imageUrl.startsWith('http')) {
+                  imageUrl = new URL(imageUrl, window.location.origin).href;
+                }
+                // For Shopify CDN images, try to get high resolution
+                if (imageUrl.includes('cdn.shopify.com')) {
+                  imageUrl = imageUrl.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
+                }
+                variantIdToImageMap.set(variantId.toString(), imageUrl);
+              });
+            }
+          });
+
+          // Apply these images to variants
+          if (variantIdToImageMap.size > 0) {
+            variants.forEach(variant => {
+              if (variant.id && variantIdToImageMap.has(variant.id.toString())) {
+                variant.image = variantIdToImageMap.get(variant.id.toString());
+              }
+            });
+          }
+        }
+      }
+    } catch (e) {
+      // Ignore errors in JSON parsing
+    }
+
+    // Look for variant image selectors common in many Shopify themes
+    const variantImageSelectors = queryAll(selectors.variantImages);
+
+    if (variantImageSelectors.length > 0) {
+      // Create a map of variant option values to image URLs
+      const variantOptionToImageMap = new Map();
+      const variantIdToImageMap = new Map();
+      const skuToImageMap = new Map();
+
+      variantImageSelectors.forEach(selector => {
+        // Try to get variant option value or ID from the selector
+        const variantId = selector.getAttribute('data-variant-id') ||
+                        selector.getAttribute('data-variant') ||
+                        selector.getAttribute('data-value-id');
+
+        const imageId = selector.getAttribute('data-image-id') ||
+                      selector.getAttribute('data-zoom-id') ||
+                      selector.getAttribute('data-media-id');
+
+        const sku = selector.getAttribute('data-sku') ||
+                  selector.getAttribute('data-variant-sku');
+
+        const optionValue = selector.getAttribute('data-option-value') ||
+                          selector.getAttribute('data-value') ||
+                          selector.getAttribute('title') ||
+                          selector.getAttribute('alt') ||
+                          selector.textContent.trim();
+
+        // Get the image URL from the selector
+        let imageUrl = null;
+        // Check for direct image URL attribute first
+        imageUrl = selector.getAttribute('data-image') ||
+                 selector.getAttribute('data-src') ||
+                 selector.getAttribute('data-zoom-image') ||
+                 selector.getAttribute('data-large-img') ||
+                 selector.getAttribute('data-full-resolution') ||
+                 selector.getAttribute('href');
+
+        // If no direct attribute, check for img child
+        if (!imageUrl) {
+          const img = selector.querySelector('img');
+          if (img) {
+            imageUrl = img.getAttribute('data-src') ||
+                     img.getAttribute('data-zoom-image') ||
+                     img.getAttribute('data-full-resolution') ||
+                     img.getAttribute('src');
+          }
+        }
+
+        // Check for background image
+        if (!imageUrl && selector.style && selector.style.backgroundImage) {
+          const bgMatch = selector.style.backgroundImage.match(/url\(['"]?(.*?)['"]?\)/);
+          if (bgMatch && bgMatch[1]) {
+            imageUrl = bgMatch[1];
+          }
+        }
+
+        // If we have both a variant identifier and an image URL, add to map
+        if (imageUrl) {
+          // Make relative URLs absolute
+          if (!imageUrl.startsWith('http')) {
+            imageUrl = new URL(imageUrl, window.location.origin).href;
+          }
+
+          // For Shopify CDN images, try to get high resolution
+          if (imageUrl.includes('cdn.shopify.com')) {
+            imageUrl = imageUrl.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
+          }
+
+          // Add to the appropriate map
+          if (variantId) {
+            variantIdToImageMap.set(variantId, imageUrl);
+          }
+          if (sku) {
+            skuToImageMap.set(sku.toLowerCase(), imageUrl);
+          }
+          if (optionValue) {
+            variantOptionToImageMap.set(optionValue.toLowerCase(), imageUrl);
+          }
+        }
+      });
+
+      // Also look for data-option-value attributes on thumbnail containers
+      queryAll(selectors.optionImages).forEach(el => {
+        const optionValue = el.getAttribute('data-option-value');
+        if (!optionValue) return;
+
+        // Find image associated with this option
+        const img = el.querySelector('img');
+        if (img && img.src) {
+          let imageUrl = img.src;
+
+          // Make relative URLs absolute
+          if (!imageUrl.startsWith('http')) {
+            imageUrl = new URL(imageUrl, window.location.origin).href;
+          }
+
+          // For Shopify CDN images, try to get high resolution
+          if (imageUrl.includes('cdn.shopify.com')) {
+            imageUrl = imageUrl.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
+          }
+
+          variantOptionToImageMap.set(optionValue.toLowerCase(), imageUrl);
+        }
+      });
+
+      // Apply the mapped images to variants - prioritize more specific matches
+      variants.forEach(variant => {
+        // Only update if we don't already have an image for this variant
+        if (variant.image && !variant.image.includes('/no-image-available')) {
+          return;
+        }
+
+        // 1. Try to match by variant ID (most specific)
+        if (variant.id && variantIdToImageMap.has(variant.id.toString())) {
+          variant.image = variantIdToImageMap.get(variant.id.toString());
+          return;
+        }
+
+        // 2. Try to match by SKU
+        if (variant.sku && skuToImageMap.has(variant.sku.toLowerCase())) {
+          variant.image = skuToImageMap.get(variant.sku.toLowerCase());
+          return;
+        }
+
+        // 3. Try to match by option values
+        const optionValues = [
+          variant.option1,
+          variant.option2,
+          variant.option3
+        ].filter(Boolean).map(val => val.toLowerCase());
+
+        for (const optionValue of optionValues) {
+          if (variantOptionToImageMap.has(optionValue)) {
+            variant.image = variantOptionToImageMap.get(optionValue);
+            return;
+          }
+        }
+
+        // 4. If title has unique information, try to match with that
+        if (variant.title) {
+          const titleLower = variant.title.toLowerCase();
+          // Check if any option value from the map is contained in the title
+          for (const [optVal, imgUrl] of variantOptionToImageMap.entries()) {
+            if (titleLower.includes(optVal)) {
+              variant.image = imgUrl;
+              return;
+            }
+          }
+        }
+      });
+    }
+
+    // Assign different product images to variants based on index if all else fails
+    // This ensures at least some variation in images between variants
+    if (images.length > 1 && variants.length > 1) {
+      let allVariantsHaveSameImage = true;
+      const firstImage = variants[0].image;
+
+      for (let i = 1; i < variants.length; i++) {
+        if (variants[i].image !== firstImage) {
+          allVariantsHaveSameImage = false;
+          break;
+        }
+      }
+
+      // If all variants have the same image, distribute available product images
+      if (allVariantsHaveSameImage) {
+        for (let i = 0; i < variants.length; i++) {
+          // Ensure we don't go out of bounds with images array
+          const imageIndex = i % images.length;
+          variants[i].image = images[imageIndex];
+        }
+      }
+    }
+
+    return variants;
+  }, extractor.selectors.product, productData.variants || [], productData.images || []);
+
+  return { ...productData, variants };
+}
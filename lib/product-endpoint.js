@@ -0,0 +1,254 @@
+import fetch from 'node-fetch';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Image processing
+function getHighResImage(imageUrl, baseUrl) {
+  if (!imageUrl) return null;
+  // The .js endpoint returns protocol-relative CDN URLs
+  let url = imageUrl.startsWith('//') ? `https:${imageUrl}` : imageUrl;
+  if (!url.startsWith('http')) {
+    url = new URL(url, baseUrl).href;
+  }
+  if (url.includes('cdn.shopify.com')) {
+    return url.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
+  }
+  return url;
+}
+
+/**
+ * Build the /products/<handle>.js and .json endpoint URLs for a product page URL, and the
+ * storefront root they belong to (used to read the store currency)
+ */
+export function getProductEndpoints(productUrl) {
+  const url = new URL(productUrl);
+  // Keep any market/locale prefix but drop a /collections/<handle> segment
+  const pathname = url.pathname.replace(/\/collections\/[^/]+(?=\/products\/)/, '');
+  const match = pathname.match(/^(.*?)(\/products\/[^/]+)/);
+  if (!match) return null;
+
+  // A ?country= market context applies to the endpoints too
+  const search = url.searchParams.has('country') ? `?country=${encodeURIComponent(url.searchParams.get('country'))}` : '';
+  const base = `${url.origin}${match[1]}${match[2].replace(/\.(js|json)$/, '')}`;
+  return {
+    js: `${base}.js${search}`,
+    json: `${base}.json${search}`,
+    store: `${url.origin}${match[1]}${search}`
+  };
+}
+
+// Attempts per endpoint while the store is throttling us
+const MAX_THROTTLED_ATTEMPTS = 3;
+
+/**
+ * Request a JSON endpoint, returning null when it is blocked, disabled or not JSON
+ */
+async function requestJson(url, timeout, hooks = {}, attempt = 1) {
+  const { beforeRequest, onResponse } = hooks;
+
+  if (beforeRequest) {
+    await beforeRequest(url);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/json'
+      },
+      signal: controller.signal
+    });
+
+    // Let the rate limiter see the status; throttled requests are retried after it backs off
+    if (onResponse && onResponse(url, response.status, response.headers.get('retry-after'))) {
+      if (attempt < MAX_THROTTLED_ATTEMPTS) {
+        clearTimeout(timer);
+        return requestJson(url, timeout, hooks, attempt + 1);
+      }
+      console.log(`Product endpoint ${url} still throttled after ${attempt} attempts`);
+      return null;
+    }
+
+    if (!response.ok) {
+      console.log(`Product endpoint ${url} returned ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    // Password pages and bot challenges come back as HTML with a 200 status
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('json') && !contentType.includes('javascript')) {
+      console.log(`Product endpoint ${url} did not return JSON (${contentType})`);
+      return null;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.log(`Product endpoint ${url} failed: ${error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * A product is on sale when any variant's compare-at price is above that variant's own price.
+ * The product-level prices are minimums over different variants, so they can't be compared.
+ */
+function hasSaleVariant(variants) {
+  return variants.some(variant => variant.price !== null && variant.compareAtPrice !== null && variant.compareAtPrice > variant.price);
+}
+
+/**
+ * Map the /products/<handle>.js payload (prices in cents) to the crawler product shape
+ */
+function mapProductJs(productJson, productUrl) {
+  const images = (productJson.images || []).map(img => getHighResImage(img, productUrl)).filter(Boolean);
+
+  const price = productJson.price_min !== undefined ? productJson.price_min / 100 : null;
+  const compareAtPrice = productJson.compare_at_price_min ? productJson.compare_at_price_min / 100 : null;
+
+  const variants = (productJson.variants || []).map(variant => ({
+    id: variant.id,
+    title: variant.title,
+    price: variant.price !== undefined && variant.price !== null ? variant.price / 100 : price,
+    compareAtPrice: variant.compare_at_price ? variant.compare_at_price / 100 : null,
+    sku: variant.sku || '',
+    available: variant.available !== undefined ? variant.available : null,
+    option1: variant.option1 || null,
+    option2: variant.option2 || null,
+    option3: variant.option3 || null,
+    options: [variant.option1, variant.option2, variant.option3].filter(Boolean),
+    image: variant.featured_image && variant.featured_image.src
+      ? getHighResImage(variant.featured_image.src, productUrl)
+      : (images[0] || null)
+  }));
+
+  return {
+    url: productUrl,
+    handle: productJson.handle,
+    title: productJson.title || '',
+    description: productJson.description || '',
+    price,
+    compareAtPrice,
+    onSale: hasSaleVariant(variants),
+    images,
+    variants,
+    options: (productJson.options || []).map(opt => (
+      typeof opt === 'string' ? { name: opt, values: [] } : { name: opt.name, values: opt.values || [] }
+    )),
+    productType: productJson.type || null,
+    vendor: productJson.vendor || null,
+    breadcrumbs: [],
+    tags: Array.isArray(productJson.tags) ? productJson.tags : []
+  };
+}
+
+/**
+ * Map the /products/<handle>.json payload (decimal string prices) to the crawler product shape
+ */
+export function mapProductJsonEndpoint(productJson, productUrl) {
+  const parsePrice = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+  const images = (productJson.images || []).map(img => getHighResImage(img.src, productUrl)).filter(Boolean);
+
+  // Map variant IDs to their featured image
+  const variantImageMap = new Map();
+  (productJson.images || []).forEach(img => {
+    (img.variant_ids || []).forEach(variantId => {
+      variantImageMap.set(variantId.toString(), getHighResImage(img.src, productUrl));
+    });
+  });
+
+  const variants = (productJson.variants || []).map(variant => ({
+    id: variant.id,
+    title: variant.title,
+    price: parsePrice(variant.price),
+    compareAtPrice: parsePrice(variant.compare_at_price) || null,
+    sku: variant.sku || '',
+    // The .json endpoint doesn't expose availability; inventory is only present on some stores
+    available: variant.available !== undefined
+      ? variant.available
+      : (variant.inventory_quantity !== undefined ? variant.inventory_quantity > 0 : null),
+    option1: variant.option1 || null,
+    option2: variant.option2 || null,
+    option3: variant.option3 || null,
+    options: [variant.option1, variant.option2, variant.option3].filter(Boolean),
+    image: variantImageMap.get(variant.id.toString()) || images[0] || null
+  }));
+
+  const prices = variants.map(v => v.price).filter(p => p !== null && !isNaN(p));
+  const price = prices.length > 0 ? Math.min(...prices) : null;
+  const compareAtPrices = variants.map(v => v.compareAtPrice).filter(p => p !== null && !isNaN(p));
+  const compareAtPrice = compareAtPrices.length > 0 ? Math.min(...compareAtPrices) : null;
+
+  return {
+    url: productUrl,
+    handle: productJson.handle,
+    title: productJson.title || '',
+    description: productJson.body_html || '',
+    price,
+    compareAtPrice,
+    onSale: hasSaleVariant(variants),
+    images,
+    variants,
+    options: (productJson.options || []).map(opt => ({ name: opt.name, values: opt.values || [] })),
+    productType: productJson.product_type || null,
+    vendor: productJson.vendor || null,
+    breadcrumbs: [],
+    tags: typeof productJson.tags === 'string'
+      ? productJson.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      : (productJson.tags || [])
+  };
+}
+
+// Store currencies by cart URL, read once per store (and market) per run
+const storeCurrencies = new Map();
+
+/**
+ * The currency a store's endpoint prices are in, read from /cart.js (the product
+ * endpoints don't include it). storeUrl may carry a market subfolder or ?country= context.
+ * Returns null when the cart is unavailable.
+ */
+export async function fetchStoreCurrency(storeUrl, options = {}) {
+  const url = new URL(storeUrl);
+  const cartUrl = `${url.origin}${url.pathname.replace(/\/+$/, '')}/cart.js${url.search}`;
+
+  if (!storeCurrencies.has(cartUrl)) {
+    const hooks = { beforeRequest: options.beforeRequest, onResponse: options.onResponse };
+    const cart = await requestJson(cartUrl, options.timeout || 30000, hooks);
+    storeCurrencies.set(cartUrl, (cart && cart.currency) || null);
+  }
+  return storeCurrencies.get(cartUrl);
+}
+
+/**
+ * Fetch a product over plain HTTP from /products/<handle>.js, falling back to .json.
+ * Returns null when both endpoints are blocked or disabled.
+ * options.beforeRequest(url) is awaited before each request and options.onResponse(url, status, retryAfter)
+ * is called with each response; onResponse returning true marks the request as throttled (e.g. a rate limiter).
+ */
+export async function fetchProductFromEndpoint(productUrl, options = {}) {
+  const timeout = options.timeout || 30000;
+  const hooks = { beforeRequest: options.beforeRequest, onResponse: options.onResponse };
+  const endpoints = getProductEndpoints(productUrl);
+  if (!endpoints) return null;
+
+  let result = null;
+  const productJs = await requestJson(endpoints.js, timeout, hooks);
+  if (productJs && productJs.handle) {
+    result = { product: mapProductJs(productJs, productUrl), source: endpoints.js };
+  } else {
+    const productJson = await requestJson(endpoints.json, timeout, hooks);
+    if (productJson && productJson.product) {
+      result = { product: mapProductJsonEndpoint(productJson.product, productUrl), source: endpoints.json };
+    }
+  }
+
+  if (result) {
+    result.product.currency = await fetchStoreCurrency(endpoints.store, options);
+  }
+  return result;
+}
@@ -0,0 +1,91 @@
+/**
+ * Field accessors that smooth over the product shapes the crawlers produce
+ * (product endpoints, HTML extraction and the Storefront API)
+ */
+
+/**
+ * Parse a price from a number, decimal string or {amount} money object
+ */
+export function toPrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const price = typeof value === 'object' ? parseFloat(value.amount) : parseFloat(value);
+  return isNaN(price) ? null : price;
+}
+
+/**
+ * Availability across crawler shapes (available vs availableForSale)
+ */
+export function isAvailable(variant) {
+  if (variant.available !== undefined && variant.available !== null) return Boolean(variant.available);
+  if (variant.availableForSale !== undefined && variant.availableForSale !== null) return Boolean(variant.availableForSale);
+  return null;
+}
+
+/**
+ * Get the URL of an image stored as a string or an {url} / {src} object
+ */
+export function imageUrl(image) {
+  if (!image) return null;
+  return typeof image === 'string' ? image : (image.url || image.src || null);
+}
+
+/**
+ * Get an image's alt text when the crawler captured one
+ */
+export function imageAlt(image) {
+  if (!image || typeof image === 'string') return null;
+  return image.altText || image.alt || null;
+}
+
+/**
+ * Get the product's option names in order
+ */
+export function getOptionNames(product) {
+  return (product.options || [])
+    .map(option => (typeof option === 'string' ? option : option.name))
+    .filter(Boolean);
+}
+
+/**
+ * Get a variant's option name/value pairs across crawler shapes
+ * (option1-3 from the product endpoints, selectedOptions from the Storefront API)
+ */
+export function getVariantOptions(product, variant) {
+  if (Array.isArray(variant.options) && variant.options.length > 0 && typeof variant.options[0] === 'object') {
+    const selected = variant.options
+      .filter(option => option && option.value !== null && option.value !== undefined)
+      .map(option => ({ name: option.name, value: option.value }));
+    if (selected.length > 0) return selected;
+  }
+
+  const optionNames = getOptionNames(product);
+  return [variant.option1, variant.option2, variant.option3]
+    .map((value, index) => ({ name: optionNames[index] || `Option${index + 1}`, value }))
+    .filter(option => option.value !== null && option.value !== undefined);
+}
+
+/**
+ * Turn an HTML description into plain text
+ */
+export function stripHtml(html) {
+  return (html || '')
+    .replace(/<(br|\/p|\/div|\/li|\/h\d)\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the product's tags as an array (the endpoints return a comma-separated string)
+ */
+export function getTags(product) {
+  if (Array.isArray(product.tags)) return product.tags.filter(Boolean);
+  if (typeof product.tags === 'string') return product.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  return [];
+}
@@ -0,0 +1,152 @@
+// Statuses that mean the store is throttling us rather than failing the request
+export const THROTTLE_STATUSES = [429, 503];
+
+// Consecutive healthy responses before the rate is raised again
+const RECOVERY_THRESHOLD = 10;
+
+// Rate to fall back to when an unlimited limiter is first throttled
+const UNLIMITED_FALLBACK_RATE = 1;
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Create an adaptive per-host rate limiter shared by every worker that holds it.
+ *
+ * Each host gets a token bucket refilled at requestsPerSecond (0 means unlimited).
+ * Throttled responses (429/503) halve the host's rate and pause it for Retry-After;
+ * runs of healthy responses raise the rate back towards the configured maximum.
+ */
+export function createRateLimiter({ requestsPerSecond = 0, minRequestsPerSecond = 0.1, burst = 1 } = {}) {
+  const maxRate = requestsPerSecond > 0 ? requestsPerSecond : Infinity;
+  const hosts = new Map();
+  const events = [];
+
+  /**
+   * Get (or create) the bucket for a URL's host
+   */
+  function getBucket(url) {
+    const host = new URL(url).host;
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        host,
+        rate: maxRate,
+        tokens: burst,
+        lastRefill: Date.now(),
+        pausedUntil: 0,
+        healthyStreak: 0,
+        throttled: 0
+      });
+    }
+    return hosts.get(host);
+  }
+
+  /**
+   * Wait until a request to the URL's host is allowed
+   */
+  async function acquire(url) {
+    const bucket = getBucket(url);
+    const now = Date.now();
+
+    if (Number.isFinite(bucket.rate)) {
+      // Refill, then take a token; a negative balance is the queue of callers waiting ahead
+      bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.lastRefill) / 1000) * bucket.rate);
+      bucket.lastRefill = now;
+      bucket.tokens -= 1;
+    }
+
+    const tokenWait = bucket.tokens < 0 && Number.isFinite(bucket.rate) ? (-bucket.tokens / bucket.rate) * 1000 : 0;
+    const pauseWait = Math.max(0, bucket.pausedUntil - now);
+    const wait = Math.max(tokenWait, pauseWait);
+
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Report a response so the limiter can slow down or speed back up.
+   * Returns true when the response was a throttle (the caller should retry).
+   */
+  function report(url, status, retryAfterHeader = null) {
+    const bucket = getBucket(url);
+
+    if (THROTTLE_STATUSES.includes(status)) {
+      const retryAfter = parseRetryAfter(retryAfterHeader);
+      const previousRate = bucket.rate;
+
+      bucket.rate = Number.isFinite(bucket.rate)
+        ? Math.max(minRequestsPerSecond, bucket.rate / 2)
+        : UNLIMITED_FALLBACK_RATE;
+      bucket.tokens = Math.min(bucket.tokens, 0);
+      bucket.healthyStreak = 0;
+      bucket.throttled++;
+
+      // Without Retry-After, back off for one interval at the new rate
+      const pause = retryAfter !== null ? retryAfter : 1000 / bucket.rate;
+      bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + pause);
+
+      events.push({
+        at: new Date().toISOString(),
+        host: bucket.host,
+        url,
+        status,
+        retryAfterMs: retryAfter,
+        previousRate: Number.isFinite(previousRate) ? previousRate : null,
+        newRate: bucket.rate
+      });
+
+      console.log(`Throttled by ${bucket.host} (${status}), slowing to ${bucket.rate.toFixed(2)} req/s and pausing ${Math.round(pause)}ms`);
+      return true;
+    }
+
+    if (status && status < 500) {
+      bucket.healthyStreak++;
+
+      if (bucket.healthyStreak >= RECOVERY_THRESHOLD && bucket.rate < maxRate) {
+        bucket.rate = bucket.rate * 1.5;
+        // An unlimited limiter returns to unlimited once it has recovered well past its fallback rate
+        if (bucket.rate >= maxRate || (!Number.isFinite(maxRate) && bucket.rate >= UNLIMITED_FALLBACK_RATE * 10)) {
+          bucket.rate = maxRate;
+        }
+        bucket.healthyStreak = 0;
+        console.log(`Responses from ${bucket.host} are healthy, raising rate to ${Number.isFinite(bucket.rate) ? bucket.rate.toFixed(2) : 'unlimited'} req/s`);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Summary of throttling for the run output
+   */
+  function getSummary() {
+    return {
+      configuredRate: Number.isFinite(maxRate) ? maxRate : null,
+      hosts: [...hosts.values()].map(bucket => ({
+        host: bucket.host,
+        currentRate: Number.isFinite(bucket.rate) ? bucket.rate : null,
+        throttledResponses: bucket.throttled
+      })),
+      throttleEvents: [...events]
+    };
+  }
+
+  return { acquire, report, getSummary };
+}
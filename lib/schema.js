@@ -0,0 +1,37 @@
+import fs from 'fs-extra';
+import Ajv from 'ajv';
+
+export const SCHEMA_VERSION = 2;
+export const SCHEMA_FILE = new URL('../schema/crawl-output.schema.json', import.meta.url);
+
+let validator = null;
+
+/**
+ * Compile the canonical schema once
+ */
+async function getValidator() {
+  if (!validator) {
+    const schema = await fs.readJSON(SCHEMA_FILE);
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    validator = ajv.compile(schema);
+  }
+  return validator;
+}
+
+/**
+ * Validate a crawl output against the canonical schema.
+ * Returns {valid, errors: [{path, message}]}, with at most maxErrors errors.
+ */
+export async function validateCrawlOutput(data, { maxErrors = 1000 } = {}) {
+  const validate = await getValidator();
+  const valid = validate(data);
+
+  const errors = (validate.errors || []).slice(0, maxErrors).map(error => ({
+    path: error.instancePath || '/',
+    message: error.keyword === 'additionalProperties'
+      ? `unexpected property "${error.params.additionalProperty}"`
+      : error.message
+  }));
+
+  return { valid, errors, totalErrors: (validate.errors || []).length };
+}
@@ -0,0 +1,127 @@
+import { toCsv, joinValues } from './csv.js';
+import { toPrice, imageUrl, imageAlt, getOptionNames, getVariantOptions, getTags } from './product-fields.js';
+import { currencyDigits } from './money.js';
+
+// Column order of the Shopify admin product import template
+export const SHOPIFY_COLUMNS = [
+  'Handle',
+  'Title',
+  'Body (HTML)',
+  'Vendor',
+  'Type',
+  'Tags',
+  'Published',
+  'Option1 Name',
+  'Option1 Value',
+  'Option2 Name',
+  'Option2 Value',
+  'Option3 Name',
+  'Option3 Value',
+  'Variant SKU',
+  'Variant Inventory Tracker',
+  'Variant Inventory Qty',
+  'Variant Inventory Policy',
+  'Variant Fulfillment Service',
+  'Variant Price',
+  'Variant Compare At Price',
+  'Variant Requires Shipping',
+  'Variant Taxable',
+  'Image Src',
+  'Image Position',
+  'Image Alt Text',
+  'Gift Card',
+  'Variant Image',
+  'Status'
+];
+
+/**
+ * Format a price for the import (plain decimal with the currency's digits, blank when unknown)
+ */
+function formatPrice(value, currency) {
+  const price = toPrice(value);
+  return price === null ? '' : price.toFixed(currencyDigits(currency));
+}
+
+/**
+ * Build the import rows for one product.
+ *
+ * The first row carries the product fields and option names; every variant gets a row
+ * with its option values and pricing. Images are spread over the rows in order, and
+ * images beyond the variant count get rows of their own with only Handle and Image columns.
+ */
+export function toShopifyRows(product, { status = 'active' } = {}) {
+  const optionNames = getOptionNames(product);
+  const images = (product.images || []).filter(image => imageUrl(image));
+  const variants = product.variants && product.variants.length > 0
+    ? product.variants
+    : [{ price: product.price, compareAtPrice: product.compareAtPrice }];
+
+  const rows = variants.map((variant, index) => {
+    const options = getVariantOptions(product, variant);
+    const row = { Handle: product.handle };
+
+    if (index === 0) {
+      Object.assign(row, {
+        'Title': product.title,
+        'Body (HTML)': product.descriptionHtml || product.description || '',
+        'Vendor': product.vendor || '',
+        'Type': product.productType || '',
+        'Tags': joinValues(getTags(product), ', '),
+        'Published': 'TRUE',
+        'Gift Card': 'FALSE',
+        'Status': status
+      });
+    }
+
+    // Products without options are imported as a single "Default Title" variant
+    if (options.length === 0) {
+      if (index === 0) row['Option1 Name'] = 'Title';
+      row['Option1 Value'] = 'Default Title';
+    }
+
+    options.slice(0, 3).forEach((option, optionIndex) => {
+      if (index === 0) row[`Option${optionIndex + 1} Name`] = optionNames[optionIndex] || option.name;
+      row[`Option${optionIndex + 1} Value`] = option.value;
+    });
+
+    const quantity = variant.quantityAvailable;
+    Object.assign(row, {
+      'Variant SKU': variant.sku || '',
+      'Variant Inventory Tracker': quantity !== undefined && quantity !== null ? 'shopify' : '',
+      'Variant Inventory Qty': quantity !== undefined && quantity !== null ? quantity : '',
+      'Variant Inventory Policy': 'deny',
+      'Variant Fulfillment Service': 'manual',
+      'Variant Price': formatPrice(variant.price, product.currency),
+      'Variant Compare At Price': formatPrice(variant.compareAtPrice, product.currency),
+      'Variant Requires Shipping': 'TRUE',
+      'Variant Taxable': 'TRUE',
+      'Variant Image': imageUrl(variant.image) || ''
+    });
+
+    return row;
+  });
+
+  images.forEach((image, index) => {
+    if (!rows[index]) {
+      rows[index] = { Handle: product.handle };
+    }
+    Object.assign(rows[index], {
+      'Image Src': imageUrl(image),
+      'Image Position': index + 1,
+      'Image Alt Text': imageAlt(image) || ''
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Build a Shopify admin product import CSV for a list of products
+ */
+export function toShopifyImportCsv(products, options = {}) {
+  const rows = products
+    .filter(product => product && product.handle)
+    .flatMap(product => toShopifyRows(product, options));
+
+  return { csv: toCsv(rows, SHOPIFY_COLUMNS), rows: rows.length };
+}
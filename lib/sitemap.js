@@ -0,0 +1,171 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import fetch from 'node-fetch';
+import { parseStringPromise } from 'xml2js';
+
+// Sitemap entry types, keyed by the URL path segment Shopify uses for them
+export const SITEMAP_TYPES = ['collections', 'products', 'pages', 'blogs'];
+
+/**
+ * Check whether a sitemap source is a remote URL
+ */
+function isRemote(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Ensure a value from xml2js is always an array
+ */
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Load a sitemap from a local path or URL, decompressing gzip content if needed
+ */
+export async function loadSitemap(source) {
+  let buffer;
+
+  if (isRemote(source)) {
+    console.log(`Downloading sitemap: ${source}`);
+    const response = await fetch(source, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Sitemap request failed: ${response.status} ${response.statusText}`);
+    }
+
+    buffer = Buffer.from(await response.arrayBuffer());
+  } else {
+    console.log(`Reading sitemap file: ${source}`);
+    buffer = await fs.readFile(source);
+  }
+
+  // Gzip magic bytes - covers .xml.gz files and servers that don't set Content-Encoding
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  return buffer.toString('utf-8');
+}
+
+/**
+ * Extract the handle that follows a path segment (e.g. /products/<handle>)
+ */
+export function extractHandle(url, segment) {
+  if (!url) return null;
+  const match = url.match(new RegExp(`/${segment}/([^/?#]+)`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Determine the entry type (collections, products, pages, blogs) from a URL
+ */
+export function getEntryType(url) {
+  if (!url) return 'other';
+
+  for (const type of SITEMAP_TYPES) {
+    if (new RegExp(`/${type}/[^/?#]+`).test(url)) {
+      return type;
+    }
+  }
+
+  return 'other';
+}
+
+/**
+ * Resolve a child sitemap location relative to its parent sitemap
+ */
+function resolveChildSource(loc, parentSource) {
+  if (isRemote(loc) || isRemote(parentSource)) {
+    return new URL(loc, parentSource).href;
+  }
+  return path.resolve(path.dirname(parentSource), loc);
+}
+
+/**
+ * Map a <url> element to a sitemap entry
+ */
+function toEntry(item) {
+  const type = getEntryType(item.loc);
+  const image = toArray(item['image:image'])[0];
+
+  return {
+    type,
+    url: item.loc,
+    lastmod: item.lastmod,
+    changefreq: item.changefreq,
+    image: image ? {
+      url: image['image:loc'],
+      title: image['image:title'],
+      caption: image['image:caption']
+    } : null,
+    handle: type === 'other' ? null : extractHandle(item.loc, type)
+  };
+}
+
+/**
+ * Read and parse a sitemap, following sitemap indexes into every child sitemap.
+ * Returns the entries routed by type: { collections, products, pages, blogs, other },
+ * plus `failed`: [{ sitemap, error }] for child sitemaps that could not be read. A root
+ * sitemap that can't be read throws.
+ */
+export async function parseSitemap(source) {
+  const failed = [];
+  const routed = await parseSitemapTree(source, new Set(), failed);
+  return { ...routed, failed };
+}
+
+/**
+ * Parse one sitemap and, for an index, its children; failures are collected in `failed`
+ */
+async function parseSitemapTree(source, visited, failed) {
+  const routed = { other: [] };
+  SITEMAP_TYPES.forEach(type => { routed[type] = []; });
+
+  if (visited.has(source)) {
+    return routed;
+  }
+  visited.add(source);
+
+  const xmlData = await loadSitemap(source);
+  const result = await parseStringPromise(xmlData, {
+    trim: true,
+    explicitArray: false
+  });
+
+  if (result.sitemapindex) {
+    const children = toArray(result.sitemapindex.sitemap);
+    console.log(`Found sitemap index with ${children.length} child sitemaps`);
+
+    for (const child of children) {
+      try {
+        const childRouted = await parseSitemapTree(resolveChildSource(child.loc, source), visited, failed);
+        for (const [type, entries] of Object.entries(childRouted)) {
+          routed[type].push(...entries);
+        }
+      } catch (error) {
+        console.error(`Error parsing child sitemap ${child.loc}: ${error.message}`);
+        failed.push({ sitemap: child.loc, error: error.message });
+      }
+    }
+
+    return routed;
+  }
+
+  if (!result.urlset) {
+    throw new Error('Invalid sitemap format: expected <urlset> or <sitemapindex>');
+  }
+
+  for (const item of toArray(result.urlset.url)) {
+    const entry = toEntry(item);
+    routed[entry.type].push(entry);
+  }
+
+  return routed;
+}
@@ -0,0 +1,182 @@
+import fetch from 'node-fetch';
+import { parseRetryAfter } from './rate-limiter.js';
+
+// Storefront API version the crawler's queries are written against
+export const STOREFRONT_API_VERSION = '2023-10';
+
+// Exponential backoff between retries: 1s, 2s, 4s, ... capped at a minute
+const BACKOFF_BASE = 1000;
+const MAX_BACKOFF = 60000;
+
+// GraphQL error codes worth retrying
+const RETRYABLE_CODES = ['THROTTLED', 'INTERNAL_SERVER_ERROR', 'TIMEOUT'];
+
+/**
+ * HTTP statuses worth retrying: throttling and server errors
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Error for a request that may succeed when repeated
+ */
+function transientError(message, { throttled = false, retryAfter = null } = {}) {
+  const error = new Error(message);
+  error.retryable = true;
+  error.throttled = throttled;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Create a Storefront API client for one store.
+ *
+ * Requests are paced at least minInterval apart. When the API reports query costs
+ * (extensions.cost with a throttleStatus), each query also waits until the remaining
+ * budget, refilled at restoreRate points per second, covers what that query cost last
+ * time. Throttled (THROTTLED, 429), 5xx, timed-out and network failures are retried
+ * with exponential backoff; other errors fail right away.
+ *
+ * Returns {query(query, variables), getStats()}; query resolves to the response's data.
+ */
+export function createStorefrontClient({ store, accessToken, apiVersion = STOREFRONT_API_VERSION, timeout = 30000, retries = 4, minInterval = 500 } = {}) {
+  const url = `https://${store}/api/${apiVersion}/graphql.json`;
+  const budget = { maximum: null, available: null, restoreRate: null, updatedAt: 0 };
+  const queryCosts = new Map();
+  const stats = { requests: 0, retries: 0, throttled: 0, failed: 0, totalCost: 0 };
+  let lastRequestAt = 0;
+
+  /**
+   * Points available now, counting what has been restored since the last report
+   */
+  function availableNow() {
+    const restored = ((Date.now() - budget.updatedAt) / 1000) * budget.restoreRate;
+    return Math.min(budget.maximum, budget.available + restored);
+  }
+
+  /**
+   * Wait for the minimum interval and, once costs are known, for enough budget
+   */
+  async function pace(query) {
+    let wait = Math.max(0, lastRequestAt + minInterval - Date.now());
+
+    if (budget.restoreRate) {
+      const needed = Math.min(queryCosts.get(query) || 0, budget.maximum);
+      const shortfall = needed - availableNow();
+      if (shortfall > 0) {
+        wait = Math.max(wait, Math.ceil((shortfall / budget.restoreRate) * 1000));
+      }
+    }
+
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastRequestAt = Date.now();
+  }
+
+  /**
+   * Remember what a query cost and where the budget stands
+   */
+  function recordCost(query, cost) {
+    if (!cost) return;
+    if (typeof cost.requestedQueryCost === 'number') queryCosts.set(query, cost.requestedQueryCost);
+    if (typeof cost.actualQueryCost === 'number') stats.totalCost += cost.actualQueryCost;
+
+    const status = cost.throttleStatus;
+    if (status && typeof status.currentlyAvailable === 'number') {
+      budget.maximum = status.maximumAvailable;
+      budget.available = status.currentlyAvailable;
+      budget.restoreRate = status.restoreRate;
+      budget.updatedAt = Date.now();
+    }
+  }
+
+  /**
+   * Send one request
+   */
+  async function send(query, variables) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Storefront-Access-Token': accessToken
+          },
+          body: JSON.stringify({ query, variables }),
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw transientError(error.name === 'AbortError' ? `Request timed out after ${timeout}ms` : `Request failed: ${error.message}`);
+      }
+
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        const message = `API request failed: ${response.status} ${response.statusText} - ${text.slice(0, 200)}`;
+        if (isRetryableStatus(response.status)) {
+          throw transientError(message, {
+            throttled: response.status === 429,
+            retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+          });
+        }
+        throw new Error(message);
+      }
+
+      const data = await response.json();
+      recordCost(query, data.extensions && data.extensions.cost);
+
+      if (data.errors && data.errors.length > 0) {
+        const message = `GraphQL error: ${data.errors.map(e => e.message).join(', ')}`;
+        const codes = data.errors.map(e => (e.extensions && e.extensions.code) || '');
+        if (codes.some(code => RETRYABLE_CODES.includes(code))) {
+          throw transientError(message, { throttled: codes.includes('THROTTLED') });
+        }
+        throw new Error(message);
+      }
+
+      return data.data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw transientError(`Request timed out after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run a query, retrying transient failures
+   */
+  async function query(queryText, variables = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await pace(queryText);
+      stats.requests++;
+
+      try {
+        return await send(queryText, variables);
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) {
+          stats.failed++;
+          throw error;
+        }
+
+        stats.retries++;
+        if (error.throttled) stats.throttled++;
+
+        // A throttled query with a known budget is mostly paced by pace(); otherwise back off
+        const backoff = Math.min(MAX_BACKOFF, BACKOFF_BASE * 2 ** attempt);
+        const wait = Math.max(error.retryAfter || 0, error.throttled && budget.restoreRate ? BACKOFF_BASE : backoff);
+        console.log(`${error.message}; retrying in ${wait}ms (retry ${attempt + 1}/${retries})`);
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+  }
+
+  return { query, getStats: () => ({ ...stats, budget: { ...budget } }) };
+}
@@ -0,0 +1,378 @@
+// Source names, in the order their values are preferred
+export const STRUCTURED_SOURCES = ['json-ld', 'microdata', 'open-graph'];
+
+// Tolerance when comparing prices in major units
+const PRICE_TOLERANCE = 0.005;
+
+/**
+ * Read the structured product data on a product page: schema.org Product/ProductGroup
+ * JSON-LD, Product microdata and Open Graph product tags. Runs in the browser through
+ * page.evaluate, so it must not use anything outside its body. Displayed amounts (Open
+ * Graph, microdata text) are parsed with the store's decimal separator when
+ * window.__crawlerParseMoney is installed; schema.org amounts always use ".".
+ *
+ * Returns {jsonLd: [product], microdata: [product], openGraph: product | null}, each product
+ * {name, description, url, sku, gtin, mpn, brand, images, price, currency, availability,
+ *  offers: [{variantId, sku, gtin, mpn, price, currency, availability, url}], rating}.
+ */
+export function extractStructuredData(decimalSeparator = null) {
+  const parseAmount = (value, separator) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (window.__crawlerParseMoney) return window.__crawlerParseMoney(value, separator);
+    const amount = parseFloat(String(value).replace(/[^\d.]/g, ''));
+    return isNaN(amount) ? null : amount;
+  };
+
+  const text = (value) => {
+    if (value === null || value === undefined) return null;
+    const trimmed = String(value).trim();
+    return trimmed || null;
+  };
+
+  // schema.org availability URLs, bare names and Open Graph values
+  const toAvailability = (value) => {
+    const name = String(value || '').split('/').pop().toLowerCase().replace(/[\s_-]/g, '');
+    if (!name) return null;
+    if (['instock', 'limitedavailability', 'onlineonly', 'preorder', 'presale', 'backorder', 'available', 'pending'].includes(name)) return true;
+    if (['outofstock', 'soldout', 'discontinued', 'instoreonly', 'oos'].includes(name)) return false;
+    return null;
+  };
+
+  const variantIdFromUrl = (url) => {
+    const match = String(url || '').match(/[?&]variant=(\d+)/);
+    return match ? match[1] : null;
+  };
+
+  const isType = (node, type) => node && [].concat(node['@type'] || []).some(t => String(t).replace(/^.*[/#]/, '') === type);
+
+  const firstGtin = (node) => text(node.gtin || node.gtin13 || node.gtin12 || node.gtin14 || node.gtin8 || node.isbn);
+
+  const brandName = (brand) => {
+    if (!brand) return null;
+    if (typeof brand === 'string') return text(brand);
+    return text([].concat(brand)[0].name);
+  };
+
+  const toRating = (rating) => {
+    if (!rating) return null;
+    const value = parseFloat(rating.ratingValue);
+    if (isNaN(value)) return null;
+    const count = parseInt(rating.reviewCount || rating.ratingCount, 10);
+    return { value, count: isNaN(count) ? null : count };
+  };
+
+  // --- JSON-LD ---
+
+  const jsonLdOffers = (node, variant = null) => {
+    const offers = [];
+    for (const offer of [].concat(node.offers || [])) {
+      if (!offer || typeof offer !== 'object') continue;
+
+      // AggregateOffer: its own offers if listed, otherwise the low price
+      if (isType(offer, 'AggregateOffer') && offer.offers) {
+        offers.push(...jsonLdOffers({ offers: offer.offers }, variant));
+        continue;
+      }
+
+      const spec = [].concat(offer.priceSpecification || [])[0] || {};
+      const url = offer.url || (variant && variant.url) || null;
+      offers.push({
+        variantId: variantIdFromUrl(url),
+        sku: text(offer.sku || (variant && variant.sku)),
+        gtin: text(firstGtin(offer) || (variant && firstGtin(variant))),
+        mpn: text(offer.mpn || (variant && variant.mpn)),
+        price: parseAmount(offer.price !== undefined ? offer.price : (offer.lowPrice !== undefined ? offer.lowPrice : spec.price), '.'),
+        currency: text(offer.priceCurrency || spec.priceCurrency),
+        availability: toAvailability(offer.availability),
+        url
+      });
+    }
+    return offers;
+  };
+
+  const fromJsonLd = (node) => {
+    // ProductGroup lists its variants as Products with their own offers
+    const variants = [].concat(node.hasVariant || []).filter(variant => variant && typeof variant === 'object');
+    const offers = [...jsonLdOffers(node), ...variants.flatMap(variant => jsonLdOffers(variant, variant))];
+    const images = [].concat(node.image || [])
+      .map(image => (typeof image === 'string' ? image : image && (image.url || image.contentUrl)))
+      .filter(Boolean);
+
+    return {
+      name: text(node.name),
+      description: text(node.description),
+      url: text(node.url),
+      sku: text(node.sku),
+      gtin: firstGtin(node),
+      mpn: text(node.mpn),
+      brand: brandName(node.brand),
+      images,
+      price: offers.length > 0 ? offers[0].price : null,
+      currency: offers.length > 0 ? offers[0].currency : null,
+      availability: offers.length > 0 ? offers.some(offer => offer.availability === true) || (offers.every(offer => offer.availability === false) ? false : null) : null,
+      offers,
+      rating: toRating(node.aggregateRating)
+    };
+  };
+
+  const jsonLdNodes = [];
+  const collect = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(collect);
+      return;
+    }
+    if (node['@graph']) collect(node['@graph']);
+    if (isType(node, 'Product') || isType(node, 'ProductGroup')) jsonLdNodes.push(node);
+  };
+
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collect(JSON.parse(script.textContent));
+    } catch (e) {
+      // Ignore malformed JSON-LD
+    }
+  });
+
+  // Variants of a ProductGroup also appear as Products; keep the group
+  const variantNodes = new Set(jsonLdNodes.flatMap(node => [].concat(node.hasVariant || [])));
+  const jsonLd = jsonLdNodes.filter(node => !variantNodes.has(node)).map(fromJsonLd);
+
+  // --- Microdata ---
+
+  const itemValue = (el) => {
+    if (el.hasAttribute('itemscope')) return el;
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'meta') return el.getAttribute('content');
+    if (tag === 'link' || tag === 'a') return el.getAttribute('href');
+    if (tag === 'img' || tag === 'source') return el.getAttribute('src');
+    if (tag === 'time') return el.getAttribute('datetime') || el.textContent;
+    if (tag === 'data' || tag === 'meter') return el.getAttribute('value');
+    return el.textContent;
+  };
+
+  // Properties that belong to this item, not to items nested in it
+  const itemProps = (scope) => {
+    const props = {};
+    scope.querySelectorAll('[itemprop]').forEach(el => {
+      const owner = el.parentElement ? el.parentElement.closest('[itemscope]') : null;
+      if (owner !== scope) return;
+      el.getAttribute('itemprop').split(/\s+/).forEach(name => {
+        (props[name] = props[name] || []).push(itemValue(el));
+      });
+    });
+    return props;
+  };
+
+  const first = (props, name) => (props[name] ? props[name][0] : null);
+  const scalar = (value) => (value && typeof value === 'object' ? null : text(value));
+  const amount = (el) => {
+    if (!el || typeof el === 'object') return null;
+    return parseAmount(el, /^\s*\d+(\.\d+)?\s*$/.test(el) ? '.' : decimalSeparator);
+  };
+
+  const microdata = Array.from(document.querySelectorAll('[itemscope][itemtype*="schema.org/Product"]'))
+    .filter(scope => !(scope.parentElement && scope.parentElement.closest('[itemscope][itemtype*="schema.org/Product"]')))
+    .map(scope => {
+      const props = itemProps(scope);
+      const offers = (props.offers || []).filter(offer => typeof offer === 'object').map(offerEl => {
+        const offer = itemProps(offerEl);
+        const url = scalar(first(offer, 'url'));
+        return {
+          variantId: variantIdFromUrl(url),
+          sku: scalar(first(offer, 'sku')),
+          gtin: scalar(first(offer, 'gtin13') || first(offer, 'gtin12') || first(offer, 'gtin14') || first(offer, 'gtin8') || first(offer, 'gtin')),
+          mpn: scalar(first(offer, 'mpn')),
+          price: amount(first(offer, 'price') || first(offer, 'lowPrice')),
+          currency: scalar(first(offer, 'priceCurrency')),
+          availability: toAvailability(scalar(first(offer, 'availability'))),
+          url
+        };
+      });
+
+      const brand = first(props, 'brand');
+      const rating = first(props, 'aggregateRating');
+      const ratingProps = rating && typeof rating === 'object' ? itemProps(rating) : null;
+
+      return {
+        name: scalar(first(props, 'name')),
+        description: scalar(first(props, 'description')),
+        url: scalar(first(props, 'url')),
+        sku: scalar(first(props, 'sku')),
+        gtin: scalar(first(props, 'gtin13') || first(props, 'gtin12') || first(props, 'gtin14') || first(props, 'gtin8') || first(props, 'gtin')),
+        mpn: scalar(first(props, 'mpn')),
+        brand: brand && typeof brand === 'object' ? scalar(first(itemProps(brand), 'name')) : scalar(brand),
+        images: (props.image || []).map(scalar).filter(Boolean),
+        price: offers.length > 0 ? offers[0].price : null,
+        currency: offers.length > 0 ? offers[0].currency : null,
+        availability: offers.length > 0 ? offers[0].availability : null,
+        offers,
+        rating: ratingProps ? toRating({
+          ratingValue: first(ratingProps, 'ratingValue'),
+          reviewCount: first(ratingProps, 'reviewCount') || first(ratingProps, 'ratingCount')
+        }) : null
+      };
+    });
+
+  // --- Open Graph ---
+
+  const meta = (...properties) => {
+    for (const property of properties) {
+      const el = document.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+      if (el && el.getAttribute('content')) return el.getAttribute('content').trim();
+    }
+    return null;
+  };
+
+  let openGraph = null;
+  const ogType = (meta('og:type') || '').toLowerCase();
+  if (ogType === 'product' || ogType === 'og:product' || meta('og:price:amount', 'product:price:amount')) {
+    const availability = toAvailability(meta('product:availability', 'og:availability'));
+    openGraph = {
+      name: meta('og:title'),
+      description: meta('og:description'),
+      url: meta('og:url'),
+      sku: meta('product:retailer_item_id'),
+      gtin: meta('product:gtin', 'product:upc', 'product:ean'),
+      mpn: meta('product:mfr_part_no'),
+      brand: meta('product:brand', 'og:brand'),
+      images: Array.from(document.querySelectorAll('meta[property="og:image:secure_url"], meta[property="og:image"]'))
+        .map(el => el.getAttribute('content'))
+        .filter((url, index, urls) => url && urls.indexOf(url) === index),
+      price: parseAmount(meta('product:price:amount', 'og:price:amount'), decimalSeparator),
+      currency: meta('product:price:currency', 'og:price:currency'),
+      availability,
+      offers: [],
+      rating: null
+    };
+  }
+
+  return { jsonLd, microdata, openGraph };
+}
+
+/**
+ * Combine what the page's structured data sources say about the product into one record,
+ * taking each field from the first source that has it (JSON-LD, then microdata, then Open
+ * Graph). fieldSources names the source of every field that has a value.
+ */
+export function mergeStructuredData({ jsonLd = [], microdata = [], openGraph = null } = {}) {
+  const candidates = [
+    ['json-ld', jsonLd[0]],
+    ['microdata', microdata[0]],
+    ['open-graph', openGraph]
+  ].filter(([, record]) => record);
+
+  if (candidates.length === 0) return null;
+
+  const merged = { sources: candidates.map(([source]) => source), fieldSources: {} };
+  for (const field of ['name', 'description', 'url', 'sku', 'gtin', 'mpn', 'brand', 'price', 'currency', 'availability', 'rating']) {
+    const found = candidates.find(([, record]) => record[field] !== null && record[field] !== undefined);
+    merged[field] = found ? found[1][field] : null;
+    if (found) merged.fieldSources[field] = found[0];
+  }
+
+  for (const field of ['images', 'offers']) {
+    const found = candidates.find(([, record]) => record[field] && record[field].length > 0);
+    merged[field] = found ? found[1][field] : [];
+    if (found) merged.fieldSources[field] = found[0];
+  }
+
+  return merged;
+}
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Whether two values from different sources disagree
+ */
+function differs(field, a, b) {
+  if (isMissing(a) || isMissing(b)) return false;
+  if (field === 'price') return Math.abs(Number(a) - Number(b)) > PRICE_TOLERANCE;
+  if (typeof a === 'boolean' || typeof b === 'boolean') return a !== b;
+  return String(a).trim().replace(/\s+/g, ' ').toLowerCase() !== String(b).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Match structured offers to the product's variants: by variant ID in the offer URL, then
+ * by SKU, and a lone offer to a lone variant
+ */
+function matchOffers(variants, offers) {
+  return variants.map(variant => {
+    const id = variant.id !== undefined && variant.id !== null ? String(variant.id) : null;
+    return (id && offers.find(offer => offer.variantId === id)) ||
+      (variant.sku && offers.find(offer => offer.sku && offer.sku === variant.sku)) ||
+      (variants.length === 1 && offers.length === 1 ? offers[0] : null);
+  });
+}
+
+/**
+ * Fold structured data into an extracted product. Fields the product is missing are filled
+ * in (vendor from brand, variant SKUs, barcodes from GTINs, availability, currency, images,
+ * rating). When the product came from the page's embedded product JSON, every field both
+ * sides have is compared, and disagreements are kept in product.conflicts as
+ * {field, variantId, productJson, structuredData, source}; the product JSON value stays in place.
+ */
+export function reconcileStructuredData(product, structured, { fromProductJson = false } = {}) {
+  if (!structured) return product;
+
+  const conflicts = [];
+  const check = (field, productValue, structuredValue, source, variantId = null) => {
+    if (fromProductJson && differs(field, productValue, structuredValue)) {
+      conflicts.push({ field, variantId, productJson: productValue, structuredData: structuredValue, source });
+    }
+  };
+  const sourceOf = (field) => structured.fieldSources[field] || null;
+
+  check('title', product.title, structured.name, sourceOf('name'));
+  check('vendor', product.vendor, structured.brand, sourceOf('brand'));
+  check('currency', product.currency, structured.currency, sourceOf('currency'));
+
+  if (isMissing(product.title)) product.title = structured.name;
+  if (isMissing(product.description)) product.description = structured.description || product.description;
+  if (isMissing(product.vendor)) product.vendor = structured.brand;
+  if (isMissing(product.currency)) product.currency = structured.currency;
+  if (!product.images || product.images.length === 0) product.images = structured.images;
+  if (structured.rating) product.rating = structured.rating;
+
+  const variants = product.variants || [];
+  const matches = matchOffers(variants, structured.offers);
+  const offersSource = sourceOf('offers');
+
+  variants.forEach((variant, index) => {
+    const offer = matches[index];
+    const variantId = variant.id !== undefined && variant.id !== null ? String(variant.id) : null;
+
+    // A product-level SKU/GTIN describes the variant when there's only one
+    const sku = (offer && offer.sku) || (variants.length === 1 ? structured.sku : null);
+    const gtin = (offer && offer.gtin) || (variants.length === 1 ? structured.gtin : null);
+    const skuSource = offer && offer.sku ? offersSource : sourceOf('sku');
+    const gtinSource = offer && offer.gtin ? offersSource : sourceOf('gtin');
+
+    check('sku', variant.sku, sku, skuSource, variantId);
+    check('barcode', variant.barcode, gtin, gtinSource, variantId);
+    if (isMissing(variant.sku) && sku) variant.sku = sku;
+    if (isMissing(variant.barcode) && gtin) variant.barcode = gtin;
+
+    if (!offer) return;
+    check('price', variant.price, offer.price, offersSource, variantId);
+    check('available', variant.available, offer.availability, offersSource, variantId);
+    if (isMissing(variant.price) && offer.price !== null) variant.price = offer.price;
+    if ((variant.available === null || variant.available === undefined) && offer.availability !== null) {
+      variant.available = offer.availability;
+    }
+  });
+
+  // Without per-variant offers, the product price is the only one to compare
+  if (!matches.some(Boolean)) {
+    check('price', product.price, structured.price, sourceOf('price'));
+  }
+  if (isMissing(product.price) && structured.price !== null) product.price = structured.price;
+
+  product.structuredDataSources = structured.sources;
+  if (fromProductJson) {
+    product.conflicts = conflicts;
+  }
+
+  return product;
+}
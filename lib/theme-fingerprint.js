@@ -0,0 +1,122 @@
+// Evidence weights: the theme's own schema name or theme store ID settle it, a theme
+// renamed by the merchant still usually carries the original name, and asset files and
+// markup markers add up when Shopify.theme is missing or unhelpful
+const WEIGHTS = {
+  schemaName: 10,
+  themeStoreId: 10,
+  detect: 10,
+  themeName: 5,
+  asset: 2,
+  marker: 1
+};
+
+// Below this score the generic extractor is used
+export const MIN_FINGERPRINT_SCORE = 3;
+
+/**
+ * Collect theme signals from a storefront page. Runs in the browser through page.evaluate,
+ * so it must not use anything outside its body. `markers` is [{name, selectors}] from the
+ * extractors; returns {theme, assets, markers: {name: [matched selectors]}}.
+ */
+export function collectThemeSignals(markers) {
+  const theme = (window.Shopify && window.Shopify.theme) || {};
+
+  // Theme assets are served from .../t/<theme index>/assets/<file>
+  const assets = new Set();
+  document.querySelectorAll('script[src], link[href]').forEach(el => {
+    const match = (el.getAttribute('src') || el.getAttribute('href') || '').match(/\/t\/\d+\/assets\/([^?#]+)/);
+    if (match) assets.add(match[1]);
+  });
+
+  const matched = {};
+  for (const { name, selectors } of markers) {
+    matched[name] = selectors.filter(selector => {
+      try {
+        return !!document.querySelector(selector);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  return {
+    theme: {
+      name: theme.name || null,
+      schemaName: theme.schema_name || null,
+      schemaVersion: theme.schema_version || null,
+      themeStoreId: theme.theme_store_id || null,
+      id: theme.id || null
+    },
+    assets: [...assets],
+    markers: matched
+  };
+}
+
+/**
+ * Score how well an extractor's fingerprint matches the collected signals.
+ * Returns {score, evidence} with one human-readable line per matched signal.
+ */
+export function scoreFingerprint(extractor, signals) {
+  const fingerprint = extractor.fingerprint || {};
+  const { theme } = signals;
+  const schemaNames = (fingerprint.schemaNames || []).map(name => name.toLowerCase());
+  const evidence = [];
+  let score = 0;
+
+  if (theme.schemaName && schemaNames.includes(theme.schemaName.toLowerCase())) {
+    score += WEIGHTS.schemaName;
+    evidence.push(`schema name ${theme.schemaName}`);
+  }
+
+  if (theme.themeStoreId && (fingerprint.themeStoreIds || []).includes(Number(theme.themeStoreId))) {
+    score += WEIGHTS.themeStoreId;
+    evidence.push(`theme store ID ${theme.themeStoreId}`);
+  }
+
+  if (extractor.detect && extractor.detect(theme)) {
+    score += WEIGHTS.detect;
+    evidence.push('detect()');
+  }
+
+  // "Copy of Impulse", "Prestige - Live" and the like
+  const themeName = (theme.name || '').toLowerCase();
+  const nameMatch = schemaNames.find(name => new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(themeName));
+  if (nameMatch) {
+    score += WEIGHTS.themeName;
+    evidence.push(`theme name "${theme.name}"`);
+  }
+
+  for (const asset of fingerprint.assets || []) {
+    if (signals.assets.includes(asset)) {
+      score += WEIGHTS.asset;
+      evidence.push(`asset ${asset}`);
+    }
+  }
+
+  for (const selector of signals.markers[extractor.name] || []) {
+    score += WEIGHTS.marker;
+    evidence.push(`marker ${selector}`);
+  }
+
+  return { score, evidence };
+}
+
+/**
+ * Fingerprint the theme of the storefront page the browser is on and rank the extractors.
+ * Returns {theme, assets, candidates: [{name, score, evidence}]} with the best match first;
+ * extractors without any matching signal are left out.
+ */
+export async function fingerprintTheme(page, extractors) {
+  const markers = extractors
+    .filter(extractor => extractor.fingerprint && extractor.fingerprint.markers)
+    .map(extractor => ({ name: extractor.name, selectors: extractor.fingerprint.markers }));
+
+  const signals = await page.evaluate(collectThemeSignals, markers);
+
+  const candidates = extractors
+    .map(extractor => ({ name: extractor.name, ...scoreFingerprint(extractor, signals) }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  return { theme: signals.theme, assets: signals.assets, candidates };
+}
@@ -0,0 +1,170 @@
+// Shopify's long-standing variant limit; larger option grids are cut off here
+export const MAX_COMBINATIONS = 100;
+
+// How long to wait for the theme to react to a selection: a short pause for its change
+// handlers, then for the section re-render requests some themes make to finish
+const SETTLE_DELAY = 250;
+const NETWORK_IDLE_TIME = 250;
+const NETWORK_IDLE_TIMEOUT = 3000;
+
+/**
+ * Every combination of the option values, first option varying slowest
+ */
+export function optionCombinations(options) {
+  return options.reduce(
+    (combinations, option) => combinations.flatMap(combination => option.values.map(value => [...combination, value])),
+    [[]]
+  );
+}
+
+/**
+ * Select one value in each option group the way a shopper would: set <select> elements and
+ * click radio inputs or swatches, firing the events the theme listens for. Runs in the
+ * browser; returns the number of groups that had the value.
+ */
+function selectOptionValues(selectors, values) {
+  const groups = window.__crawlerQueryAll(selectors.options);
+  let selected = 0;
+
+  values.forEach((value, index) => {
+    const group = groups[index];
+    if (!group) return;
+
+    const select = group.tagName === 'SELECT' ? group : group.querySelector('select');
+    if (select) {
+      const option = Array.from(select.options).find(opt => opt.value === value || opt.textContent.trim() === value);
+      if (!option) return;
+      select.value = option.value;
+      select.dispatchEvent(new Event('input', { bubbles: true }));
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      selected++;
+      return;
+    }
+
+    const control = window.__crawlerQueryAll(selectors.optionValues, group)
+      .find(el => (el.value || el.getAttribute('data-value') || el.textContent.trim()) === value);
+    if (!control) return;
+
+    // Swatch wrappers usually hold the input the theme listens to
+    const input = control.tagName === 'INPUT' ? control : control.querySelector('input') || control;
+    if (input.tagName === 'INPUT' && input.checked) {
+      selected++;
+      return;
+    }
+    input.click();
+    selected++;
+  });
+
+  return selected;
+}
+
+/**
+ * Read the variant the page shows after a selection: the ?variant= ID in the URL (or the
+ * product form's variant input), price, compare-at price, availability from the add-to-cart
+ * button, and the featured image. Runs in the browser.
+ */
+function readSelectedVariant(selectors, decimalSeparator) {
+  const query = window.__crawlerQuery;
+  const parseMoney = (text) => window.__crawlerParseMoney(text, decimalSeparator);
+
+  const idInput = query(selectors.variantId);
+  const id = new URL(window.location.href).searchParams.get('variant') || (idInput && idInput.value) || null;
+
+  const priceEl = query(selectors.price);
+  const compareAtEl = query(selectors.compareAtPrice);
+
+  // Sold-out and unavailable combinations disable the button or say so on it
+  const button = query(selectors.addToCart);
+  let available = null;
+  if (button) {
+    available = !(button.disabled || button.getAttribute('aria-disabled') === 'true' ||
+      /sold\s*out|unavailable|out of stock/i.test(button.textContent));
+  }
+
+  let image = null;
+  const imageEl = query(selectors.featuredImage);
+  if (imageEl) {
+    const src = imageEl.getAttribute('src') || imageEl.getAttribute('data-src') || imageEl.getAttribute('data-zoom-image') || '';
+    if (src) {
+      image = new URL(src, window.location.origin).href
+        .replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
+    }
+  }
+
+  return {
+    id,
+    price: priceEl ? parseMoney(priceEl.textContent.trim()) : null,
+    compareAtPrice: compareAtEl ? parseMoney(compareAtEl.textContent.trim()) : null,
+    available,
+    image
+  };
+}
+
+/**
+ * Wait for the theme to update the page after a selection
+ */
+async function waitForSelection(page) {
+  await new Promise(resolve => setTimeout(resolve, SETTLE_DELAY));
+  await page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_TIME, timeout: NETWORK_IDLE_TIMEOUT }).catch(() => {});
+}
+
+/**
+ * Build the variants of a product without product JSON by selecting every combination of
+ * option values on the page and reading what the theme shows for it. Combinations the store
+ * doesn't sell are dropped: the theme leaves the variant ID unchanged (or empty) for them.
+ * Returns the variants, or null when the page has no option selectors to drive.
+ */
+export async function enumerateVariants(page, extractor, options, { decimalSeparator = null, maxCombinations = MAX_COMBINATIONS } = {}) {
+  const selectors = extractor.selectors.product;
+  const selectable = (options || []).filter(option => option.values && option.values.length > 0);
+  if (selectable.length === 0 || selectable.length !== options.length) return null;
+
+  let combinations = optionCombinations(selectable);
+  if (combinations.length > maxCombinations) {
+    console.log(`${combinations.length} option combinations, only trying the first ${maxCombinations}`);
+    combinations = combinations.slice(0, maxCombinations);
+  }
+  console.log(`Selecting ${combinations.length} option combinations to find the variants`);
+
+  const variants = [];
+  const seenIds = new Set();
+  let withoutId = 0;
+
+  for (const values of combinations) {
+    const selected = await page.evaluate(selectOptionValues, selectors, values);
+    if (selected !== values.length) continue;
+
+    await waitForSelection(page);
+    const state = await page.evaluate(readSelectedVariant, selectors, decimalSeparator);
+
+    if (state.id) {
+      if (seenIds.has(state.id)) continue;
+      seenIds.add(state.id);
+    } else {
+      withoutId++;
+    }
+
+    variants.push({
+      id: state.id ? Number(state.id) : null,
+      title: values.join(' / '),
+      price: state.price,
+      compareAtPrice: state.compareAtPrice !== null && state.compareAtPrice > state.price ? state.compareAtPrice : null,
+      sku: '',
+      available: state.available !== null ? state.available : true,
+      option1: values[0] || null,
+      option2: values[1] || null,
+      option3: values[2] || null,
+      options: values,
+      image: state.image
+    });
+  }
+
+  // Once the theme exposes variant IDs, a combination without one doesn't exist
+  const real = seenIds.size > 0 ? variants.filter(variant => variant.id !== null) : variants;
+  if (seenIds.size > 0 && withoutId > 0) {
+    console.log(`Skipped ${withoutId} combinations the store doesn't sell`);
+  }
+  console.log(`Found ${real.length} variants by selecting options`);
+
+  return real.length > 0 ? real : null;
+}
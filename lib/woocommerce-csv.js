@@ -0,0 +1,172 @@
+import { toCsv } from './csv.js';
+import { toPrice, isAvailable, imageUrl, getOptionNames, getVariantOptions, getTags } from './product-fields.js';
+import { currencyDigits } from './money.js';
+
+// WooCommerce's importer supports any number of attributes; Shopify stops at three
+const MAX_ATTRIBUTES = 3;
+
+// Column order of the WooCommerce product CSV importer
+export const WOOCOMMERCE_COLUMNS = [
+  'Type',
+  'SKU',
+  'Name',
+  'Published',
+  'Is featured?',
+  'Visibility in catalog',
+  'Short description',
+  'Description',
+  'Tax status',
+  'In stock?',
+  'Stock',
+  'Sale price',
+  'Regular price',
+  'Categories',
+  'Tags',
+  'Images',
+  'Parent',
+  'Position',
+  ...Array.from({ length: MAX_ATTRIBUTES }, (_, index) => [
+    `Attribute ${index + 1} name`,
+    `Attribute ${index + 1} value(s)`,
+    `Attribute ${index + 1} visible`,
+    `Attribute ${index + 1} global`
+  ]).flat()
+];
+
+/**
+ * Join values into a WooCommerce list cell, escaping commas inside values
+ */
+function joinList(values) {
+  return values.filter(Boolean).map(value => String(value).replace(/,/g, '\\,')).join(', ');
+}
+
+/**
+ * Format a price for the import (plain decimal with the currency's digits, blank when unknown)
+ */
+function formatPrice(price, currency) {
+  return price === null ? '' : price.toFixed(currencyDigits(currency));
+}
+
+/**
+ * Regular and sale price for a variant; a compare-at price above the price means it's on sale
+ */
+function getPrices(variant, currency) {
+  const price = toPrice(variant.price);
+  const compareAtPrice = toPrice(variant.compareAtPrice);
+
+  if (price !== null && compareAtPrice !== null && compareAtPrice > price) {
+    return { 'Regular price': formatPrice(compareAtPrice, currency), 'Sale price': formatPrice(price, currency) };
+  }
+  return { 'Regular price': formatPrice(price, currency), 'Sale price': '' };
+}
+
+/**
+ * Stock columns for a variant
+ */
+function getStock(variant) {
+  const available = isAvailable(variant);
+  const quantity = variant.quantityAvailable;
+  return {
+    'In stock?': available === null ? '' : (available ? 1 : 0),
+    'Stock': quantity !== undefined && quantity !== null ? quantity : ''
+  };
+}
+
+/**
+ * A product is simple when it only has Shopify's single "Default Title" variant
+ */
+function isSimpleProduct(product) {
+  const variants = product.variants || [];
+  if (variants.length > 1) return false;
+  if (variants.length === 0) return true;
+  return getVariantOptions(product, variants[0]).every(option => option.value === 'Default Title') ||
+    variants[0].title === 'Default Title';
+}
+
+/**
+ * Build the import rows for one product: a simple product row, or a variable
+ * product row followed by one variation row per variant. Variations point at their
+ * parent through its SKU, which is the Shopify handle.
+ */
+export function toWooCommerceRows(product) {
+  const images = (product.images || []).map(imageUrl).filter(Boolean);
+  const base = {
+    'SKU': product.handle,
+    'Name': product.title,
+    'Published': 1,
+    'Is featured?': 0,
+    'Visibility in catalog': 'visible',
+    'Short description': '',
+    'Description': product.descriptionHtml || product.description || '',
+    'Tax status': 'taxable',
+    'Categories': joinList(product.categories || product.collections || []),
+    'Tags': joinList(getTags(product)),
+    'Images': joinList(images)
+  };
+
+  if (isSimpleProduct(product)) {
+    const variant = (product.variants && product.variants[0]) ||
+      { price: product.price, compareAtPrice: product.compareAtPrice, available: product.available };
+    return [{
+      ...base,
+      'Type': 'simple',
+      'SKU': variant.sku || product.handle,
+      ...getPrices(variant, product.currency),
+      ...getStock(variant)
+    }];
+  }
+
+  // Collect every value of each option for the parent's attribute list
+  const optionNames = getOptionNames(product);
+  const variantOptions = product.variants.map(variant => getVariantOptions(product, variant));
+  const attributeNames = optionNames.length > 0 ? optionNames : (variantOptions[0] || []).map(option => option.name);
+
+  const parent = { ...base, 'Type': 'variable' };
+  attributeNames.slice(0, MAX_ATTRIBUTES).forEach((name, index) => {
+    const values = [...new Set(variantOptions.map(options => options[index] && options[index].value).filter(Boolean))];
+    Object.assign(parent, {
+      [`Attribute ${index + 1} name`]: name,
+      [`Attribute ${index + 1} value(s)`]: joinList(values),
+      [`Attribute ${index + 1} visible`]: 1,
+      [`Attribute ${index + 1} global`]: 0
+    });
+  });
+
+  const variations = product.variants.map((variant, index) => {
+    const row = {
+      'Type': 'variation',
+      'SKU': variant.sku || '',
+      'Name': `${product.title} - ${variant.title}`,
+      'Published': 1,
+      'Tax status': 'taxable',
+      'Images': imageUrl(variant.image) || '',
+      'Parent': product.handle,
+      'Position': index + 1,
+      ...getPrices(variant, product.currency),
+      ...getStock(variant)
+    };
+
+    variantOptions[index].slice(0, MAX_ATTRIBUTES).forEach((option, optionIndex) => {
+      Object.assign(row, {
+        [`Attribute ${optionIndex + 1} name`]: attributeNames[optionIndex] || option.name,
+        [`Attribute ${optionIndex + 1} value(s)`]: joinList([option.value]),
+        [`Attribute ${optionIndex + 1} global`]: 0
+      });
+    });
+
+    return row;
+  });
+
+  return [parent, ...variations];
+}
+
+/**
+ * Build a WooCommerce product import CSV for a list of products
+ */
+export function toWooCommerceCsv(products) {
+  const rows = products
+    .filter(product => product && product.handle)
+    .flatMap(product => toWooCommerceRows(product));
+
+  return { csv: toCsv(rows, WOOCOMMERCE_COLUMNS), rows: rows.length };
+}
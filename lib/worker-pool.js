@@ -0,0 +1,61 @@
+/**
+ * Create a crawl frontier: a task queue shared by every worker in a pool.
+ * Tasks can be added while the pool is running (e.g. product URLs discovered
+ * on a collection page).
+ */
+export function createFrontier(tasks = []) {
+  const queue = [...tasks];
+  let inFlight = 0;
+
+  return {
+    push(task) {
+      queue.push(task);
+    },
+    // Queue tasks ahead of everything already waiting, keeping their order
+    pushFront(tasks) {
+      queue.unshift(...tasks);
+    },
+    take() {
+      const task = queue.shift();
+      if (task) inFlight++;
+      return task;
+    },
+    done() {
+      inFlight--;
+    },
+    // The pool is finished once nothing is queued and no running task can add more
+    get finished() {
+      return queue.length === 0 && inFlight === 0;
+    },
+    get size() {
+      return queue.length;
+    }
+  };
+}
+
+/**
+ * Run tasks from a frontier on a pool of workers (e.g. Puppeteer pages) until it is drained.
+ * handleTask(task, worker, workerIndex) is called for each task; errors are logged and the
+ * worker moves on to the next task.
+ */
+export async function runWorkerPool(workers, frontier, handleTask) {
+  await Promise.all(workers.map(async (worker, workerIndex) => {
+    while (!frontier.finished) {
+      const task = frontier.take();
+
+      if (!task) {
+        // Other workers may still push new tasks
+        await new Promise(resolve => setTimeout(resolve, 100));
+        continue;
+      }
+
+      try {
+        await handleTask(task, worker, workerIndex);
+      } catch (error) {
+        console.error(`[worker ${workerIndex + 1}] Task failed: ${error.message}`);
+      } finally {
+        frontier.done();
+      }
+    }
+  }));
+}
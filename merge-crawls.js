@@ -0,0 +1,110 @@
+import fs from 'fs-extra';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { loadCrawlOutput } from './lib/load-products.js';
+import { normalizeCrawlOutput } from './lib/normalize.js';
+import { validateCrawlOutput, SCHEMA_VERSION } from './lib/schema.js';
+import { mergeCrawlOutputs, DEFAULT_PRECEDENCE } from './lib/merge.js';
+
+// Parse command line arguments
+const argv = yargs(hideBin(process.argv))
+  .option('html', {
+    description: 'sitemap_crawler.js output (category directory or products.json)',
+    type: 'string',
+    demandOption: true
+  })
+  .option('api', {
+    description: 'api-crawler.js output file',
+    type: 'string',
+    demandOption: true
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Output JSON file for the merged products',
+    type: 'string',
+    default: 'shopify_products_merged.json'
+  })
+  .option('precedence', {
+    alias: 'p',
+    description: 'JSON file with per-field precedence rules, merged over the defaults',
+    type: 'string'
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+/**
+ * Load a crawl output and bring it into the canonical schema
+ */
+async function loadSource(name, input, crawler) {
+  const data = await loadCrawlOutput(input);
+  const normalized = normalizeCrawlOutput(data, { source: crawler });
+  console.log(`Loaded ${normalized.products.length} products from ${input} (${name})`);
+  return { name, input, data: normalized };
+}
+
+/**
+ * Merge a sitemap crawl and an API crawl into one canonical dataset
+ */
+async function mergeCrawls() {
+  try {
+    console.log(`\n=== MERGING CRAWL RESULTS ===`);
+
+    const precedence = { ...DEFAULT_PRECEDENCE };
+    if (argv.precedence) {
+      Object.assign(precedence, await fs.readJSON(argv.precedence));
+      console.log(`Using precedence rules from ${argv.precedence}`);
+    }
+
+    const sources = [
+      await loadSource('html', argv.html, 'sitemap_crawler'),
+      await loadSource('api', argv.api, 'api-crawler')
+    ];
+
+    const { products, provenance, stats } = mergeCrawlOutputs(sources, precedence);
+
+    // Collections from every source, first one wins per handle
+    const collections = new Map();
+    sources.forEach(source => source.data.collections.forEach(collection => {
+      if (!collections.has(collection.handle)) collections.set(collection.handle, collection);
+    }));
+
+    const result = {
+      schemaVersion: SCHEMA_VERSION,
+      source: 'merge',
+      store: sources.map(source => source.data.store).find(Boolean) || null,
+      currency: sources.map(source => source.data.currency).find(Boolean) || null,
+      crawledAt: sources.map(source => source.data.crawledAt).filter(Boolean).sort().pop() || null,
+      collections: [...collections.values()],
+      products,
+      totalProducts: products.length,
+      merge: {
+        mergedAt: new Date().toISOString(),
+        sources: Object.fromEntries(sources.map(source => [source.name, source.input])),
+        precedence,
+        stats
+      },
+      provenance
+    };
+
+    await fs.writeJSON(argv.output, result, { spaces: 2 });
+
+    const { valid, totalErrors } = await validateCrawlOutput(result);
+    if (!valid) {
+      console.log(`Warning: the merged output has ${totalErrors} schema violations; run product-schema.js validate for details`);
+    }
+
+    console.log(`\n=== MERGE COMPLETED ===`);
+    console.log(`Products: ${stats.products} (${stats.matched} matched, ${stats.onlyIn.html} only in html, ${stats.onlyIn.api} only in api)`);
+    console.log(`Merged output written to ${argv.output}`);
+  } catch (error) {
+    console.error(`Error merging crawls: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the merge
+mergeCrawls().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
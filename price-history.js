@@ -0,0 +1,245 @@
+import fs from 'fs-extra';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { loadCrawlOutput } from './lib/load-products.js';
+import { openHistoryStore, toStoreKey, DEFAULT_LEDGER } from './lib/history-store.js';
+import { formatMoney } from './lib/money.js';
+
+const formatAvailable = (available) => (available === null ? '?' : available ? 'in stock' : 'out of stock');
+
+/**
+ * Print a result as JSON or via the text formatter
+ */
+function output(argv, data, formatText) {
+  if (argv.json) {
+    console.log(JSON.stringify(data, null, 2));
+  } else {
+    formatText(data);
+  }
+}
+
+/**
+ * Append one or more crawl outputs to the ledger
+ */
+async function recordCommand(argv) {
+  const store = openHistoryStore(argv.ledger);
+
+  for (const input of argv.input) {
+    const crawlOutput = await loadCrawlOutput(input);
+
+    // Category directories have no single run timestamp unless one of their files has one
+    const crawledAt = argv['crawled-at'] || crawlOutput.crawledAt || (await fs.stat(input)).mtime.toISOString();
+    const written = await store.record(crawlOutput, { store: argv.store, crawledAt, force: argv.force });
+
+    if (written === 0 && crawlOutput.products.length > 0) {
+      console.log(`Skipped ${input}: run from ${crawledAt} is already in ${store.ledgerFile} (use --force to record it again)`);
+    } else {
+      console.log(`Recorded ${written} variant observations from ${input} (${crawlOutput.products.length} products, ${crawledAt})`);
+    }
+  }
+}
+
+/**
+ * Show the price and availability history of one product
+ */
+async function historyCommand(argv) {
+  const store = openHistoryStore(argv.ledger);
+  const storeKey = toStoreKey(argv.store);
+
+  // A product ID is looked up by the handles it was recorded under, which also finds runs without IDs
+  const handles = new Set([argv.handle]);
+  for await (const row of store.rows()) {
+    if (row.productId === String(argv.handle)) handles.add(row.handle);
+  }
+
+  const series = await store.loadSeries(row =>
+    handles.has(row.handle) && (!storeKey || row.store === storeKey)
+  );
+
+  if (series.size === 0) {
+    console.error(`No history found for ${argv.handle}`);
+    process.exit(1);
+  }
+
+  const variants = [...series.values()].map(observations => {
+    const prices = observations.map(o => o.price).filter(price => price !== null);
+    const latest = observations[observations.length - 1];
+
+    // Only keep the observations where something changed
+    const changes = observations.filter((o, index) => {
+      const previous = observations[index - 1];
+      return !previous ||
+        previous.price !== o.price ||
+        previous.compareAtPrice !== o.compareAtPrice ||
+        previous.available !== o.available;
+    });
+
+    return {
+      store: latest.store,
+      productId: latest.productId,
+      variantId: latest.variantId,
+      handle: latest.handle,
+      title: latest.title,
+      variantTitle: latest.variantTitle,
+      observations: observations.length,
+      firstSeen: observations[0].crawledAt,
+      lastSeen: latest.crawledAt,
+      currency: latest.currency,
+      currentPrice: latest.price,
+      lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+      highestPrice: prices.length > 0 ? Math.max(...prices) : null,
+      history: (argv.all ? observations : changes).map(o => ({
+        crawledAt: o.crawledAt,
+        price: o.price,
+        compareAtPrice: o.compareAtPrice,
+        available: o.available
+      }))
+    };
+  });
+
+  output(argv, variants, () => {
+    console.log(`${variants[0].title} (${variants[0].handle}) on ${variants[0].store}`);
+    for (const variant of variants) {
+      console.log(`\n[${variant.variantTitle}] ${variant.observations} observations, ` +
+        `low ${formatMoney(variant.lowestPrice, variant.currency)} / high ${formatMoney(variant.highestPrice, variant.currency)} / ` +
+        `now ${formatMoney(variant.currentPrice, variant.currency)}`);
+      for (const point of variant.history) {
+        const compareAt = point.compareAtPrice !== null ? ` (compare-at ${formatMoney(point.compareAtPrice, variant.currency)})` : '';
+        console.log(`  ${point.crawledAt}  ${formatMoney(point.price, variant.currency).padStart(12)}${compareAt}  ${formatAvailable(point.available)}`);
+      }
+    }
+  });
+}
+
+/**
+ * List variants whose price in the latest run of their store is the lowest ever recorded
+ */
+async function lowestCommand(argv) {
+  const store = openHistoryStore(argv.ledger);
+  const storeKey = toStoreKey(argv.store);
+
+  // Latest run per store, so products that have since disappeared are left out
+  const latestRun = new Map();
+  for (const run of await store.listRuns()) {
+    latestRun.set(run.store, run.crawledAt);
+  }
+
+  const series = await store.loadSeries(row => !storeKey || row.store === storeKey);
+  const results = [];
+
+  for (const observations of series.values()) {
+    const latest = observations[observations.length - 1];
+    if (latest.crawledAt !== latestRun.get(latest.store) || latest.price === null) continue;
+
+    const prices = observations.map(o => o.price).filter(price => price !== null);
+    const lowest = Math.min(...prices);
+    const highest = Math.max(...prices);
+
+    // A price that never moved is trivially its own lowest
+    if (latest.price > lowest || (highest === lowest && !argv['include-unchanged'])) continue;
+    if (argv['in-stock'] && latest.available === false) continue;
+
+    results.push({
+      store: latest.store,
+      productId: latest.productId,
+      variantId: latest.variantId,
+      handle: latest.handle,
+      title: latest.title,
+      variantTitle: latest.variantTitle,
+      currency: latest.currency,
+      currentPrice: latest.price,
+      highestPrice: highest,
+      dropFromHighest: highest - latest.price,
+      available: latest.available,
+      observations: observations.length,
+      firstSeen: observations[0].crawledAt
+    });
+  }
+
+  results.sort((a, b) => b.dropFromHighest - a.dropFromHighest);
+
+  output(argv, results, () => {
+    console.log(`${results.length} variants are at their lowest recorded price`);
+    for (const r of results) {
+      console.log(`  ${r.store}  ${r.handle} [${r.variantTitle}]  ${formatMoney(r.currentPrice, r.currency)} ` +
+        `(was up to ${formatMoney(r.highestPrice, r.currency)}, ${r.observations} observations)`);
+    }
+  });
+}
+
+/**
+ * List the runs recorded in the ledger
+ */
+async function runsCommand(argv) {
+  const store = openHistoryStore(argv.ledger);
+  const storeKey = toStoreKey(argv.store);
+  const runs = (await store.listRuns()).filter(run => !storeKey || run.store === storeKey);
+
+  output(argv, runs, () => {
+    console.log(`${runs.length} runs in ${store.ledgerFile}`);
+    runs.forEach(run => console.log(`  ${run.crawledAt}  ${run.store}  ${run.variants} variants`));
+  });
+}
+
+/**
+ * Wrap a command so errors are reported the same way as the other tools
+ */
+const run = (command) => async (argv) => {
+  try {
+    await command(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Parse command line arguments
+yargs(hideBin(process.argv))
+  .option('ledger', {
+    description: 'Price history ledger file (JSONL)',
+    type: 'string',
+    default: DEFAULT_LEDGER
+  })
+  .option('store', {
+    alias: 's',
+    description: 'Store URL or domain (defaults to the store recorded in the crawl output)',
+    type: 'string'
+  })
+  .option('json', {
+    description: 'Print results as JSON',
+    type: 'boolean',
+    default: false
+  })
+  .command('record <input..>', 'Append crawl outputs (JSON files or sitemap_crawler.js category directories) to the ledger', (y) => y
+    .option('crawled-at', {
+      description: 'Override the run timestamp (ISO date) when the output has none',
+      type: 'string'
+    })
+    .option('force', {
+      description: 'Record the run even if it is already in the ledger',
+      type: 'boolean',
+      default: false
+    }), run(recordCommand))
+  .command('history <handle>', 'Price and availability history for a product (handle or product ID)', (y) => y
+    .option('all', {
+      description: 'Show every observation, not just changes',
+      type: 'boolean',
+      default: false
+    }), run(historyCommand))
+  .command('lowest', 'Variants whose current price is the lowest ever recorded', (y) => y
+    .option('in-stock', {
+      description: 'Only include variants that are currently available',
+      type: 'boolean',
+      default: false
+    })
+    .option('include-unchanged', {
+      description: 'Include variants whose price has never changed',
+      type: 'boolean',
+      default: false
+    }), run(lowestCommand))
+  .command('runs', 'List the runs recorded in the ledger', () => {}, run(runsCommand))
+  .demandCommand(1)
+  .strict()
+  .help()
+  .alias('help', 'h')
+  .argv;
@@ -2,12 +2,17 @@ import fs from 'fs-extra';
 import path from 'path';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
+import { toCsv, joinValues } from './lib/csv.js';
+import { imageUrl, isAvailable, getVariantOptions } from './lib/product-fields.js';
+import { normalizeCrawlOutput, primaryCurrency } from './lib/normalize.js';
+import { loadCrawlOutput } from './lib/load-products.js';
+import { toMinorUnits, fromMinorUnits, formatMoney } from './lib/money.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
   .option('input', {
     alias: 'i',
-    description: 'Input JSON file with crawled products',
+    description: 'Input JSON file with crawled products, or a sitemap_crawler.js category directory',
     type: 'string',
     default: 'shopify_products.json'
   })
@@ -21,6 +26,7 @@ const argv = yargs(hideBin(process.argv))
     alias: 'f',
     description: 'Output format (json, csv)',
     type: 'string',
+    choices: ['json', 'csv'],
     default: 'json'
   })
   .help()
@@ -35,38 +41,47 @@ async function processProductData() {
     console.log(`\n=== PROCESSING PRODUCT DATA ===`);
     console.log(`Loading data from: ${argv.input}`);
     
-    // Ensure input file exists
-    if (!await fs.pathExists(argv.input)) {
-      throw new Error(`Input file not found: ${argv.input}`);
-    }
-    
-    // Load the crawled data
-    const rawData = await fs.readJSON(argv.input);
+    // Load the crawled data (a category directory is merged into one deduplicated dataset)
+    // and bring every crawler's shape into the canonical schema
+    const rawData = normalizeCrawlOutput(await loadCrawlOutput(argv.input));
     
     if (!rawData.products || !Array.isArray(rawData.products) || rawData.products.length === 0) {
-      throw new Error('No products found in the input file');
+      throw new Error('No products found in the input');
     }
     
     console.log(`Found ${rawData.products.length} products to process`);
     
+    // Prices are integer minor units; price reports cover the store's main currency
+    const pricing = getPricing(rawData);
+    console.log(`Reporting prices in ${pricing.currency || 'an unknown currency'}`);
+    
     // Create output directory if it doesn't exist
     await fs.ensureDir(argv.output);
     
     // Generate stats
-    const stats = await generateStats(rawData);
+    const stats = await generateStats(rawData, pricing);
     
     // Write stats to file
-    await fs.writeJSON(path.join(argv.output, 'stats.json'), stats, { spaces: 2 });
-    console.log(`Stats written to ${path.join(argv.output, 'stats.json')}`);
+    await writeView('stats', stats, statsToCsv);
     
     // Generate collection-specific data
-    await generateCollectionData(rawData);
+    await generateCollectionData(rawData, pricing);
     
     // Generate categorized product lists
     await generateCategorizedProducts(rawData);
     
     // Generate price range data
-    await generatePriceRangeData(rawData);
+    await generatePriceRangeData(rawData, pricing);
+    
+    // Products crawled with --markets get a side-by-side market price view
+    if (rawData.products.some(product => Object.keys(product.markets || {}).length > 0)) {
+      await generateMarketPrices(rawData);
+    }
+    
+    // CSV exports also get a flat one-row-per-variant product file
+    if (argv.format === 'csv') {
+      await generateProductCsv(rawData);
+    }
     
     console.log(`\n=== PROCESSING COMPLETED ===`);
     console.log(`Output files written to directory: ${argv.output}`);
@@ -78,9 +93,84 @@ async function processProductData() {
 }
 
 /**
- * Generate statistics about the product data
+ * Pick the currency price reports are in and its price buckets. The buckets are 10, 20, 50
+ * and 100 whole units, scaled by powers of ten so the median price lands near the middle
+ * (so a yen store gets ¥1,000-¥10,000 rather than everything over ¥100).
+ * Buckets are in minor units, with an inclusive min and exclusive max.
  */
-async function generateStats(rawData) {
+function getPricing(rawData) {
+  const currency = rawData.currency || primaryCurrency(rawData.products);
+  const prices = rawData.products
+    .filter(product => product.price && product.currency === currency)
+    .map(product => fromMinorUnits(product.price, currency))
+    .sort((a, b) => a - b);
+  
+  const median = prices.length > 0 ? prices[Math.floor(prices.length / 2)] : 1;
+  const scale = Math.pow(10, Math.max(0, Math.floor(Math.log10(median)) - 1));
+  const thresholds = [10, 20, 50, 100].map(amount => toMinorUnits(amount * scale, currency));
+  const label = (minor) => formatMoney(minor, currency, { wholeUnits: true });
+  
+  const buckets = [{ name: `Under ${label(thresholds[0])}`, min: 0, max: thresholds[0] }];
+  for (let i = 1; i < thresholds.length; i++) {
+    buckets.push({ name: `${label(thresholds[i - 1])}-${label(thresholds[i])}`, min: thresholds[i - 1], max: thresholds[i] });
+  }
+  buckets.push({ name: `Over ${label(thresholds[thresholds.length - 1])}`, min: thresholds[thresholds.length - 1], max: Infinity });
+  
+  return { currency, buckets };
+}
+
+/**
+ * Write a view as JSON or, with --format csv, as CSV using the view's converter
+ */
+async function writeView(name, data, convertToCsv) {
+  const file = path.join(argv.output, `${name}.${argv.format}`);
+  
+  if (argv.format === 'csv') {
+    await fs.writeFile(file, convertToCsv(data));
+  } else {
+    await fs.writeJSON(file, data, { spaces: 2 });
+  }
+  
+  console.log(`${name} written to ${file}`);
+}
+
+/**
+ * CSV column for a price field, headed priceMinor and so on so the integers aren't read as decimal prices
+ */
+function minorUnits(field) {
+  return { header: `${field}Minor`, value: field };
+}
+
+/**
+ * Flatten stats into section/name/value rows; price stats are named minMinor and so on
+ */
+function statsToCsv(stats) {
+  const rows = [
+    { section: 'summary', name: 'totalProducts', value: stats.totalProducts },
+    { section: 'summary', name: 'totalCollections', value: stats.totalCollections },
+    { section: 'summary', name: 'crawledCollections', value: stats.crawledCollections },
+    { section: 'summary', name: 'hasImages', value: stats.hasImages },
+    { section: 'summary', name: 'hasVariants', value: stats.hasVariants },
+    { section: 'summary', name: 'onSale', value: stats.onSale },
+    { section: 'summary', name: 'currency', value: stats.currency }
+  ];
+  
+  Object.entries(stats.currencies).forEach(([name, value]) => rows.push({ section: 'currencies', name, value }));
+  ['min', 'max', 'avg', 'median'].forEach(name => rows.push({ section: 'priceStats', name: `${name}Minor`, value: stats.priceStats[name] }));
+  Object.entries(stats.priceStats.ranges).forEach(([name, value]) => rows.push({ section: 'priceRanges', name, value }));
+  Object.entries(stats.productTypes).forEach(([name, value]) => rows.push({ section: 'productTypes', name, value }));
+  Object.entries(stats.vendors).forEach(([name, value]) => rows.push({ section: 'vendors', name, value }));
+  stats.collectionsWithMostProducts.forEach(c => rows.push({ section: 'collectionsWithMostProducts', name: c.title, value: c.productCount }));
+  Object.entries(stats.popularTags).forEach(([name, value]) => rows.push({ section: 'popularTags', name, value }));
+  
+  return toCsv(rows, ['section', 'name', 'value']);
+}
+
+/**
+ * Generate statistics about the product data. Price stats (in minor units) only cover
+ * products in the report currency; every currency seen is counted in currencies.
+ */
+async function generateStats(rawData, pricing) {
   console.log('Generating product statistics...');
   
   const products = rawData.products;
@@ -90,18 +180,14 @@ async function generateStats(rawData) {
     crawledCollections: rawData.collections ? rawData.collections.filter(c => c.crawled).length : 0,
     productTypes: {},
     vendors: {},
+    currency: pricing.currency,
+    currencies: {},
     priceStats: {
       min: null,
       max: null,
       avg: null,
       median: null,
-      ranges: {
-        'Under $10': 0,
-        '$10-$20': 0,
-        '$20-$50': 0,
-        '$50-$100': 0,
-        'Over $100': 0
-      }
+      ranges: Object.fromEntries(pricing.buckets.map(bucket => [bucket.name, 0]))
     },
     hasImages: 0,
     hasVariants: 0,
@@ -125,22 +211,18 @@ async function generateStats(rawData) {
       stats.vendors[product.vendor] = (stats.vendors[product.vendor] || 0) + 1;
     }
     
+    // Count currencies
+    if (product.currency) {
+      stats.currencies[product.currency] = (stats.currencies[product.currency] || 0) + 1;
+    }
+    
     // Price stats
-    if (product.price && !isNaN(product.price)) {
+    if (product.price && product.currency === pricing.currency) {
       validPrices.push(product.price);
       
       // Categorize by price range
-      if (product.price < 10) {
-        stats.priceStats.ranges['Under $10']++;
-      } else if (product.price < 20) {
-        stats.priceStats.ranges['$10-$20']++;
-      } else if (product.price < 50) {
-        stats.priceStats.ranges['$20-$50']++;
-      } else if (product.price < 100) {
-        stats.priceStats.ranges['$50-$100']++;
-      } else {
-        stats.priceStats.ranges['Over $100']++;
-      }
+      const bucket = pricing.buckets.find(b => product.price >= b.min && product.price < b.max);
+      stats.priceStats.ranges[bucket.name]++;
     }
     
     // Image stats
@@ -175,12 +257,12 @@ async function generateStats(rawData) {
     
     stats.priceStats.min = Math.min(...validPrices);
     stats.priceStats.max = Math.max(...validPrices);
-    stats.priceStats.avg = validPrices.reduce((sum, price) => sum + price, 0) / validPrices.length;
+    stats.priceStats.avg = Math.round(validPrices.reduce((sum, price) => sum + price, 0) / validPrices.length);
     
     // Calculate median
     const middle = Math.floor(validPrices.length / 2);
     stats.priceStats.median = validPrices.length % 2 === 0
-      ? (validPrices[middle - 1] + validPrices[middle]) / 2
+      ? Math.round((validPrices[middle - 1] + validPrices[middle]) / 2)
       : validPrices[middle];
   }
   
@@ -210,9 +292,9 @@ async function generateStats(rawData) {
 }
 
 /**
- * Generate data grouped by collection
+ * Generate data grouped by collection; collection price figures are in the report currency
  */
-async function generateCollectionData(rawData) {
+async function generateCollectionData(rawData, pricing) {
   console.log('Generating collection-specific data...');
   
   const collections = {};
@@ -226,6 +308,8 @@ async function generateCollectionData(rawData) {
             title: category,
             products: [],
             productCount: 0,
+            currency: pricing.currency,
+            pricedProducts: 0,
             totalPrice: 0,
             avgPrice: 0,
             priceRange: { min: null, max: null }
@@ -235,16 +319,18 @@ async function generateCollectionData(rawData) {
         collections[category].products.push({
           handle: product.handle,
           title: product.title,
+          currency: product.currency,
           price: product.price,
           compareAtPrice: product.compareAtPrice,
           onSale: product.onSale,
           url: product.url,
-          images: product.images ? product.images.slice(0, 1) : []
+          images: product.images.slice(0, 1).map(imageUrl)
         });
         
         collections[category].productCount++;
         
-        if (product.price && !isNaN(product.price)) {
+        if (product.price && product.currency === pricing.currency) {
+          collections[category].pricedProducts++;
           collections[category].totalPrice += product.price;
           
           // Update min/max prices
@@ -262,17 +348,34 @@ async function generateCollectionData(rawData) {
   
   // Calculate averages and clean up data
   for (const category in collections) {
-    if (collections[category].productCount > 0 && collections[category].totalPrice > 0) {
-      collections[category].avgPrice = collections[category].totalPrice / collections[category].productCount;
+    if (collections[category].pricedProducts > 0) {
+      collections[category].avgPrice = Math.round(collections[category].totalPrice / collections[category].pricedProducts);
     }
     
-    // Remove totalPrice as it's an intermediate calculation
+    // Remove intermediate calculations
     delete collections[category].totalPrice;
+    delete collections[category].pricedProducts;
   }
   
   // Save collection data
-  await fs.writeJSON(path.join(argv.output, 'collections_data.json'), collections, { spaces: 2 });
-  console.log(`Collection data written to ${path.join(argv.output, 'collections_data.json')}`);
+  await writeView('collections_data', collections, (data) => {
+    const rows = Object.values(data).flatMap(collection => collection.products.map(product => ({
+      collection: collection.title,
+      collectionProductCount: collection.productCount,
+      collectionCurrency: collection.currency,
+      collectionAvgPrice: collection.avgPrice,
+      collectionMinPrice: collection.priceRange.min,
+      collectionMaxPrice: collection.priceRange.max,
+      ...product,
+      image: product.images[0]
+    })));
+    
+    return toCsv(rows, [
+      'collection', 'collectionProductCount', 'collectionCurrency',
+      minorUnits('collectionAvgPrice'), minorUnits('collectionMinPrice'), minorUnits('collectionMaxPrice'),
+      'handle', 'title', 'currency', minorUnits('price'), minorUnits('compareAtPrice'), 'onSale', 'url', 'image'
+    ]);
+  });
 }
 
 /**
@@ -297,11 +400,12 @@ async function generateCategorizedProducts(rawData) {
       categorized.onSale.push({
         handle: product.handle,
         title: product.title,
+        currency: product.currency,
         price: product.price,
         compareAtPrice: product.compareAtPrice,
         discountPercent: discount,
         url: product.url,
-        image: product.images && product.images.length > 0 ? product.images[0] : null
+        image: product.images.length > 0 ? imageUrl(product.images[0]) : null
       });
     }
     
@@ -314,9 +418,10 @@ async function generateCategorizedProducts(rawData) {
       categorized.byType[product.productType].push({
         handle: product.handle,
         title: product.title,
+        currency: product.currency,
         price: product.price,
         url: product.url,
-        image: product.images && product.images.length > 0 ? product.images[0] : null
+        image: product.images.length > 0 ? imageUrl(product.images[0]) : null
       });
     }
     
@@ -329,9 +434,10 @@ async function generateCategorizedProducts(rawData) {
       categorized.byVendor[product.vendor].push({
         handle: product.handle,
         title: product.title,
+        currency: product.currency,
         price: product.price,
         url: product.url,
-        image: product.images && product.images.length > 0 ? product.images[0] : null
+        image: product.images.length > 0 ? imageUrl(product.images[0]) : null
       });
     }
   }
@@ -344,28 +450,38 @@ async function generateCategorizedProducts(rawData) {
   categorized.bestValue = categorized.onSale.slice(0, 10);
   
   // Save categorized products
-  await fs.writeJSON(path.join(argv.output, 'categorized_products.json'), categorized, { spaces: 2 });
-  console.log(`Categorized product lists written to ${path.join(argv.output, 'categorized_products.json')}`);
+  await writeView('categorized_products', categorized, (data) => {
+    const rows = [
+      ...data.onSale.map(product => ({ list: 'onSale', group: '', ...product })),
+      ...data.bestValue.map(product => ({ list: 'bestValue', group: '', ...product })),
+      ...Object.entries(data.byType).flatMap(([type, products]) => products.map(product => ({ list: 'byType', group: type, ...product }))),
+      ...Object.entries(data.byVendor).flatMap(([vendor, products]) => products.map(product => ({ list: 'byVendor', group: vendor, ...product })))
+    ];
+    
+    return toCsv(rows, [
+      'list', 'group', 'handle', 'title', 'currency', minorUnits('price'), minorUnits('compareAtPrice'), 'discountPercent', 'url',
+      { header: 'image', value: row => imageUrl(row.image) }
+    ]);
+  });
 }
 
 /**
- * Generate data about products grouped by price range
+ * Generate data about products grouped by price range. Ranges are inclusive minor-unit
+ * bounds in the report currency; products priced in other currencies are left out.
  */
-async function generatePriceRangeData(rawData) {
+async function generatePriceRangeData(rawData, pricing) {
   console.log('Generating price range data...');
   
   // Define price ranges
-  const priceRanges = {
-    'Under $10': { range: [0, 9.99], products: [] },
-    '$10-$20': { range: [10, 19.99], products: [] },
-    '$20-$50': { range: [20, 49.99], products: [] },
-    '$50-$100': { range: [50, 99.99], products: [] },
-    'Over $100': { range: [100, Infinity], products: [] }
-  };
+  const priceRanges = Object.fromEntries(pricing.buckets.map(bucket => [bucket.name, {
+    range: [bucket.min, Number.isFinite(bucket.max) ? bucket.max - 1 : Infinity],
+    currency: pricing.currency,
+    products: []
+  }]));
   
   // Group products by price range
   for (const product of rawData.products) {
-    if (product.price === null || isNaN(product.price)) {
+    if (product.price === null || product.currency !== pricing.currency) {
       continue;
     }
     
@@ -379,9 +495,10 @@ async function generatePriceRangeData(rawData) {
         priceRanges[rangeName].products.push({
           handle: product.handle,
           title: product.title,
+          currency: product.currency,
           price: price,
           url: product.url,
-          image: product.images && product.images.length > 0 ? product.images[0] : null
+          image: product.images.length > 0 ? imageUrl(product.images[0]) : null
         });
         break;
       }
@@ -389,8 +506,119 @@ async function generatePriceRangeData(rawData) {
   }
   
   // Save price range data
-  await fs.writeJSON(path.join(argv.output, 'price_ranges.json'), priceRanges, { spaces: 2 });
-  console.log(`Price range data written to ${path.join(argv.output, 'price_ranges.json')}`);
+  await writeView('price_ranges', priceRanges, (data) => {
+    const rows = Object.entries(data).flatMap(([range, rangeData]) => rangeData.products.map(product => ({
+      range,
+      rangeMin: rangeData.range[0],
+      rangeMax: Number.isFinite(rangeData.range[1]) ? rangeData.range[1] : '',
+      ...product
+    })));
+    
+    return toCsv(rows, [
+      'range', minorUnits('rangeMin'), minorUnits('rangeMax'), 'handle', 'title', 'currency', minorUnits('price'), 'url',
+      { header: 'image', value: row => imageUrl(row.image) }
+    ]);
+  });
+}
+
+/**
+ * Generate a view comparing each product's price, compare-at price and availability
+ * across the default market and every market it was crawled in
+ */
+async function generateMarketPrices(rawData) {
+  console.log('Generating market price comparison...');
+  
+  const marketKeys = new Set(['default']);
+  const products = rawData.products.map(product => {
+    const prices = {
+      default: {
+        currency: product.currency,
+        price: product.price,
+        compareAtPrice: product.compareAtPrice,
+        available: product.available
+      }
+    };
+    
+    for (const [key, market] of Object.entries(product.markets || {})) {
+      marketKeys.add(key);
+      prices[key] = {
+        currency: market.currency,
+        price: market.price,
+        compareAtPrice: market.compareAtPrice,
+        available: market.available
+      };
+    }
+    
+    return { handle: product.handle, title: product.title, url: product.url, prices };
+  });
+  
+  await writeView('market_prices', { markets: [...marketKeys], products }, (data) => {
+    const rows = data.products.flatMap(product => Object.entries(product.prices).map(([market, price]) => ({
+      handle: product.handle,
+      title: product.title,
+      market,
+      ...price
+    })));
+    
+    return toCsv(rows, ['handle', 'title', 'market', 'currency', minorUnits('price'), minorUnits('compareAtPrice'), 'available']);
+  });
+}
+
+/**
+ * Generate a flat product CSV with one row per variant
+ */
+async function generateProductCsv(rawData) {
+  console.log('Generating per-variant product CSV...');
+  
+  const rows = [];
+  
+  for (const product of rawData.products) {
+    const variants = product.variants && product.variants.length > 0 ? product.variants : [{}];
+    
+    const productFields = {
+      handle: product.handle,
+      title: product.title,
+      url: product.url,
+      productType: product.productType,
+      vendor: product.vendor,
+      tags: joinValues(product.tags),
+      collections: joinValues(product.categories || product.collections),
+      description: product.descriptionHtml || product.description,
+      images: joinValues((product.images || []).map(imageUrl))
+    };
+    
+    for (const variant of variants) {
+      const options = getVariantOptions(product, variant);
+      rows.push({
+        ...productFields,
+        variantId: variant.id,
+        variantTitle: variant.title,
+        sku: variant.sku,
+        option1Name: options[0] ? options[0].name : '',
+        option1Value: options[0] ? options[0].value : '',
+        option2Name: options[1] ? options[1].name : '',
+        option2Value: options[1] ? options[1].value : '',
+        option3Name: options[2] ? options[2].name : '',
+        option3Value: options[2] ? options[2].value : '',
+        // Products without variant data fall back to their own price
+        price: variant.price !== undefined ? variant.price : product.price,
+        compareAtPrice: variant.price !== undefined ? variant.compareAtPrice : product.compareAtPrice,
+        currency: product.currency,
+        available: isAvailable(variant),
+        quantityAvailable: variant.quantityAvailable,
+        variantImage: imageUrl(variant.image)
+      });
+    }
+  }
+  
+  const file = path.join(argv.output, 'products.csv');
+  await fs.writeFile(file, toCsv(rows, [
+    'handle', 'title', 'url', 'productType', 'vendor', 'tags', 'collections', 'description', 'images',
+    'variantId', 'variantTitle', 'sku',
+    'option1Name', 'option1Value', 'option2Name', 'option2Value', 'option3Name', 'option3Value',
+    minorUnits('price'), minorUnits('compareAtPrice'), 'currency', 'available', 'quantityAvailable', 'variantImage'
+  ]));
+  console.log(`Per-variant product CSV written to ${file} (${rows.length} rows)`);
 }
 
 // Start processing
@@ -0,0 +1,110 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { loadCrawlOutput } from './lib/load-products.js';
+import { normalizeCrawlOutput, detectSource } from './lib/normalize.js';
+import { validateCrawlOutput, SCHEMA_VERSION } from './lib/schema.js';
+
+/**
+ * Load a crawl output as-is: a JSON file, or a sitemap_crawler.js category directory merged into one
+ */
+async function loadRaw(input) {
+  if ((await fs.stat(input)).isDirectory()) {
+    const data = await loadCrawlOutput(input);
+    return { ...data, sitemap: input };
+  }
+  return fs.readJSON(input);
+}
+
+/**
+ * Convert a crawler output into the canonical schema
+ */
+async function normalizeCommand(argv) {
+  const raw = await loadRaw(argv.input);
+  const source = detectSource(raw);
+  const normalized = normalizeCrawlOutput(raw);
+
+  const output = argv.output || path.join(
+    path.dirname(argv.input),
+    `${path.basename(argv.input, path.extname(argv.input))}.canonical.json`
+  );
+
+  await fs.ensureDir(path.dirname(output));
+  await fs.writeJSON(output, normalized, { spaces: 2 });
+  console.log(`Normalized ${normalized.products.length} products from ${argv.input} (${source || 'unknown'} output) to ${output}`);
+
+  const { valid, errors, totalErrors } = await validateCrawlOutput(normalized, { maxErrors: argv['max-errors'] });
+  if (!valid) {
+    console.log(`Warning: ${totalErrors} schema violations remain after normalizing; run validate for details`);
+    errors.slice(0, 5).forEach(error => console.log(`  ${error.path}: ${error.message}`));
+  }
+}
+
+/**
+ * Validate crawl outputs against the canonical schema. Raw crawler outputs are
+ * normalized first, so the violations reported are the ones normalizing can't fix.
+ */
+async function validateCommand(argv) {
+  let failed = 0;
+
+  for (const input of argv.input) {
+    const raw = await loadRaw(input);
+    const canonical = raw.schemaVersion === SCHEMA_VERSION;
+    const data = canonical ? raw : normalizeCrawlOutput(raw);
+    const { valid, errors, totalErrors } = await validateCrawlOutput(data, { maxErrors: argv['max-errors'] });
+
+    const label = canonical ? `canonical v${SCHEMA_VERSION}` : `raw ${detectSource(raw) || 'unknown'} output, validated after normalizing`;
+    if (valid) {
+      console.log(`OK    ${input} (${label}, ${data.products.length} products)`);
+      continue;
+    }
+
+    failed++;
+    console.log(`FAIL  ${input} (${label}, ${totalErrors} violations)`);
+    for (const error of errors) {
+      const handle = error.path.match(/^\/products\/(\d+)/);
+      const product = handle ? ` [${data.products[handle[1]].handle}]` : '';
+      console.log(`  ${error.path}${product}: ${error.message}`);
+    }
+    if (totalErrors > errors.length) {
+      console.log(`  ... and ${totalErrors - errors.length} more`);
+    }
+  }
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Wrap a command so errors are reported the same way as the other tools
+ */
+const run = (command) => async (argv) => {
+  try {
+    await command(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Parse command line arguments
+yargs(hideBin(process.argv))
+  .option('max-errors', {
+    description: 'Maximum number of violations to report per file',
+    type: 'number',
+    default: 50
+  })
+  .command('normalize <input>', 'Convert a crawler output into the canonical schema', (y) => y
+    .option('output', {
+      alias: 'o',
+      description: 'Output file (default: <input>.canonical.json)',
+      type: 'string'
+    }), run(normalizeCommand))
+  .command('validate <input..>', 'Report schema violations in crawler outputs', () => {}, run(validateCommand))
+  .demandCommand(1)
+  .strict()
+  .help()
+  .alias('help', 'h')
+  .argv;
@@ -3,13 +3,20 @@ import puppeteer from 'puppeteer';
 import path from 'path';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { parseStringPromise } from 'xml2js';
+import { parseSitemap } from './lib/sitemap.js';
+import { fetchProductFromEndpoint } from './lib/product-endpoint.js';
+import { createRateLimiter } from './lib/rate-limiter.js';
+import { createFrontier, runWorkerPool } from './lib/worker-pool.js';
+import { openCrawlState, STATE_FILE } from './lib/crawl-state.js';
+import { parseMarkets, toMarketUrl, toMarketEntry } from './lib/markets.js';
+import { loadExtractors, createExtractorResolver } from './lib/extractors.js';
+import { extractProduct, getCollectionDetails, getProductLinks, getTotalPages, getNextPageUrl, findPaginationLink } from './lib/page-extraction.js';
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
   .option('sitemap', {
     alias: 's',
-    description: 'Sitemap XML file path',
+    description: 'Sitemap path or URL (sitemap index, urlset or .xml.gz)',
     type: 'string',
     default: 'sitemap_collections_1.xml'
   })
@@ -58,10 +65,92 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('mode', {
+    alias: 'm',
+    description: 'Crawl mode: "collections" walks collection pages, "products" crawls product URLs from the products sitemap',
+    choices: ['collections', 'products'],
+    default: 'collections'
+  })
+  .option('incremental', {
+    description: 'In products mode, skip products whose sitemap lastmod is unchanged since the last snapshot (use --no-incremental to recrawl all)',
+    type: 'boolean',
+    default: true
+  })
+  .option('http', {
+    description: 'Fetch products from the /products/<handle>.js endpoint and only use the browser as a fallback (use --no-http to always use the browser)',
+    type: 'boolean',
+    default: true
+  })
+  .option('save-interval', {
+    description: 'Save progress after crawling this many products',
+    type: 'number',
+    default: 20
+  })
+  .option('start', {
+    description: 'Start from collection index (0-based), or product index in products mode',
+    type: 'number',
+    default: 0
+  })
+  .option('limit', {
+    alias: 'l',
+    description: 'Maximum collections (or products in products mode) to crawl (0 for all)',
+    type: 'number',
+    default: 0
+  })
+  .option('resume', {
+    description: `Resume an interrupted run from the crawl state (${STATE_FILE}) in the output directory, skipping finished collections and products (use --no-resume to start fresh)`,
+    type: 'boolean',
+    default: true
+  })
+  .option('concurrency', {
+    alias: 'c',
+    description: 'Number of browser pages crawling in parallel',
+    type: 'number',
+    default: 1
+  })
+  .option('rate', {
+    description: 'Maximum requests per second to the store, shared by all pages; slows down automatically when throttled (0 for no limit)',
+    type: 'number',
+    default: 2
+  })
+  .option('isolate-contexts', {
+    description: 'Give each page its own browser context (separate cookies and cache)',
+    type: 'boolean',
+    default: false
+  })
+  .option('markets', {
+    description: 'Shopify Markets to crawl each product in as well, comma-separated: locale subfolders (en-ca, fr-fr) or country codes (CA, DE)',
+    type: 'string',
+    default: ''
+  })
+  .option('extractor', {
+    alias: 'e',
+    description: 'Theme extractor to use instead of detecting it from the store theme',
+    type: 'string'
+  })
+  .option('extractors-dir', {
+    description: 'Directory with additional theme extractor modules (can be repeated)',
+    type: 'array',
+    default: []
+  })
+  .option('enumerate-variants', {
+    description: 'When a product page has no product JSON, select every combination of option values in the browser to read each variant',
+    type: 'boolean',
+    default: false
+  })
   .help()
   .alias('help', 'h')
   .argv;
 
+// Adaptive per-host request rate shared by every page in the pool, honoring 429/503 and Retry-After
+const rateLimiter = createRateLimiter({ requestsPerSecond: argv.rate });
+
+// Markets each product is crawled in besides the default one
+const markets = parseMarkets(argv.markets);
+
+// Theme extractor for collection and product pages, picked by fingerprinting the store's theme
+const themeExtractor = createExtractorResolver(await loadExtractors(argv['extractors-dir']), { name: argv.extractor });
+
 /**
  * Helper function to navigate to a URL with retries
  */
@@ -74,12 +163,25 @@ async function safeNavigate(page, url, options = {}) {
   
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
+      await rateLimiter.acquire(url);
+      
       // First try with longer timeout
       const response = await page.goto(url, { 
         timeout: timeout,
         waitUntil: waitUntil
       });
       
+      // A throttled or failing response is not a page we can scrape
+      const status = response ? response.status() : null;
+      if (status && rateLimiter.report(url, status, response.headers()['retry-after'])) {
+        const error = new Error(`Throttled with HTTP ${status}`);
+        error.throttled = true;
+        throw error;
+      }
+      if (status && status >= 500) {
+        throw new Error(`Server responded with HTTP ${status}`);
+      }
+      
       // If we get here, navigation succeeded
       if (attempt > 1) {
         console.log(`Successfully loaded ${url} on attempt ${attempt}`);
@@ -99,8 +201,8 @@ async function safeNavigate(page, url, options = {}) {
       lastError = error;
       console.error(`Navigation attempt ${attempt}/${retries} to ${url} failed: ${error.message}`);
       
-      // Wait before retry
-      if (attempt < retries) {
+      // Wait before retry (throttled requests wait for the rate limiter instead)
+      if (attempt < retries && !error.throttled) {
         const waitTime = 2000 * attempt; // Increasing backoff
         console.log(`Waiting ${waitTime}ms before retry...`);
         await new Promise(resolve => setTimeout(resolve, waitTime));
@@ -126,62 +228,36 @@ async function saveToJson(data, filename) {
 }
 
 /**
- * Read and parse sitemap XML file
+ * Read and parse a sitemap (local path or URL, plain or gzipped, urlset or sitemap index)
+ * and return its entries routed by type. `failed` lists the sitemaps that could not be
+ * read, the root sitemap included, so callers know the entries are incomplete.
  */
-async function parseSitemap(sitemapFile) {
+async function loadSitemapEntries(sitemapSource) {
   try {
-    console.log(`Reading sitemap file: ${sitemapFile}`);
-    const xmlData = await fs.readFile(sitemapFile, 'utf-8');
-    
-    const result = await parseStringPromise(xmlData, {
-      trim: true,
-      explicitArray: false
-    });
-    
-    if (!result.urlset || !result.urlset.url) {
-      throw new Error('Invalid sitemap format');
+    // A bare store URL points at the root sitemap index
+    if (/^https?:\/\//i.test(sitemapSource) && new URL(sitemapSource).pathname === '/') {
+      sitemapSource = new URL('/sitemap.xml', sitemapSource).href;
     }
     
-    // Ensure url is always an array
-    const urls = Array.isArray(result.urlset.url) ? result.urlset.url : [result.urlset.url];
-    
-    // Extract collection URLs
-    const collections = urls.map(item => ({
-      url: item.loc,
-      lastmod: item.lastmod,
-      changefreq: item.changefreq,
-      image: item['image:image'] ? {
-        url: item['image:image']['image:loc'],
-        title: item['image:image']['image:title'],
-        caption: item['image:image']['image:caption']
-      } : null,
-      handle: extractCollectionHandle(item.loc)
-    }));
+    const entries = await parseSitemap(sitemapSource);
     
-    console.log(`Found ${collections.length} collections in sitemap`);
+    console.log(`Found ${entries.collections.length} collections, ${entries.products.length} products, ` +
+      `${entries.pages.length} pages, ${entries.blogs.length} blog entries in sitemap`);
     
-    // Print all collection handles for debugging
+    // Print collection handles for debugging
     console.log('Available collections:');
-    collections.slice(0, 10).forEach(c => console.log(`- ${c.handle}`));
-    if (collections.length > 10) {
-      console.log(`... and ${collections.length - 10} more`);
+    entries.collections.slice(0, 10).forEach(c => console.log(`- ${c.handle}`));
+    if (entries.collections.length > 10) {
+      console.log(`... and ${entries.collections.length - 10} more`);
     }
     
-    return collections;
+    return entries;
   } catch (error) {
     console.error(`Error parsing sitemap: ${error.message}`);
-    return [];
+    return { collections: [], products: [], pages: [], blogs: [], other: [], failed: [{ sitemap: sitemapSource, error: error.message }] };
   }
 }
 
-/**
- * Extract collection handle from URL
- */
-function extractCollectionHandle(url) {
-  const match = url.match(/\/collections\/([^\/]+)/);
-  return match ? match[1] : null;
-}
-
 /**
  * Save HTML content for debugging
  */
@@ -200,9 +276,95 @@ async function saveHtmlContent(page, filename) {
 }
 
 /**
- * Crawl products from a collection
+ * Apply --start and --limit to a list of collections or products
+ */
+function selectBatch(items) {
+  const end = argv.limit > 0 ? argv.start + argv.limit : undefined;
+  const batch = items.slice(argv.start, end);
+  if (batch.length !== items.length) {
+    console.log(`Crawling batch ${argv.start}-${argv.start + batch.length - 1} (${batch.length} of ${items.length})`);
+  }
+  return batch;
+}
+
+// Stop trying the product endpoint after this many consecutive failures (it's likely disabled)
+const MAX_ENDPOINT_FAILURES = 5;
+let endpointFailures = 0;
+
+/**
+ * Fetch a product, preferring the lightweight HTTP endpoint over the browser
+ */
+async function fetchProductData(page, productUrl) {
+  if (argv.http && endpointFailures < MAX_ENDPOINT_FAILURES) {
+    const endpointResult = await fetchProductFromEndpoint(productUrl, {
+      timeout: argv.timeout,
+      beforeRequest: rateLimiter.acquire,
+      onResponse: rateLimiter.report
+    });
+    
+    if (endpointResult) {
+      endpointFailures = 0;
+      console.log(`Fetched product data from ${endpointResult.source}`);
+      return endpointResult.product;
+    }
+    
+    endpointFailures++;
+    if (endpointFailures >= MAX_ENDPOINT_FAILURES) {
+      console.log(`Product endpoint failed ${endpointFailures} times in a row, using the browser for the rest of the run`);
+    } else {
+      console.log('Product endpoint unavailable, falling back to browser');
+    }
+  }
+  
+  return crawlProductPage(page, productUrl);
+}
+
+/**
+ * Fetch a product, then once more in each --markets market. Market prices, compare-at
+ * prices and availability are kept side by side under `markets`, keyed by market.
+ */
+async function crawlProduct(page, productUrl) {
+  const productData = await fetchProductData(page, productUrl);
+  if (!productData || markets.length === 0) return productData;
+  
+  productData.markets = {};
+  for (const market of markets) {
+    const marketUrl = toMarketUrl(productUrl, market);
+    console.log(`Crawling market ${market.key}: ${marketUrl}`);
+    
+    const marketProduct = await fetchProductData(page, marketUrl);
+    if (marketProduct) {
+      productData.markets[market.key] = toMarketEntry(marketProduct);
+    } else {
+      console.log(`No product data for market ${market.key}, leaving it out`);
+    }
+    
+    // Storefronts remember the market in cookies; clear them so the next default crawl isn't localized
+    await page.deleteCookie(
+      { name: 'localization', url: marketUrl },
+      { name: 'cart_currency', url: marketUrl }
+    ).catch(() => {});
+  }
+  
+  return productData;
+}
+
+/**
+ * Navigate to a product page and extract its details
  */
-async function crawlCollection(page, collection) {
+async function crawlProductPage(page, productUrl) {
+  // Navigate to product page
+  await safeNavigate(page, productUrl);
+  console.log(`Successfully loaded product page`);
+  
+  const extractor = await themeExtractor.resolve(page);
+  return extractProduct(page, extractor, { enumerateVariants: argv.enumerateVariants });
+}
+
+/**
+ * Walk a collection's listing pages and collect its details and product links
+ */
+async function discoverCollection(page, collection) {
   try {
     console.log(`\nCrawling collection: ${collection.handle} (${collection.url})`);
     
@@ -213,57 +375,22 @@ async function crawlCollection(page, collection) {
     // Save HTML for debugging
     await saveHtmlContent(page, `${collection.handle}_page1.html`);
     
+    const extractor = await themeExtractor.resolve(page);
+    
     // Get total pages in this collection
     let totalPages = 1;
     try {
-      // First check for pagination elements in the DOM
-      const paginationSelector = '.pagination, .pagination-wrapper, nav[role="navigation"], .pager, .pages, ul.page-numbers, .paginate, .pgn, [data-pagination], [class*="pagination"]';
-      const hasPagination = await page.$(paginationSelector);
-      
-      if (hasPagination) {
-        const pageNumbersText = await page.evaluate(() => {
-          const paginationEl = document.querySelector('.pagination, .pagination-wrapper, nav[role="navigation"], .pager, .pages, ul.page-numbers, .paginate, .pgn, [data-pagination], [class*="pagination"]');
-          if (!paginationEl) return null;
-          const pageNumbers = Array.from(paginationEl.querySelectorAll('span, a'))
-            .map(el => el.textContent.trim())
-            .filter(text => !isNaN(parseInt(text)));
-          return pageNumbers;
-        });
-        
-        if (pageNumbersText && pageNumbersText.length > 0) {
-          const pageNumbers = pageNumbersText.map(p => parseInt(p));
-          totalPages = Math.max(...pageNumbers);
-        }
-      } 
+      // First check the pagination elements in the DOM
+      totalPages = (await getTotalPages(page, extractor)) || 1;
       
       // If no pagination found via DOM elements, check for link rel="next" tags
       if (totalPages === 1) {
-        const hasNextLink = await page.evaluate(() => {
-          const nextLink = document.querySelector('link[rel="next"]');
-          if (nextLink) {
-            // Try to extract page number from URL
-            const url = nextLink.getAttribute('href');
-            const match = url.match(/[?&]page=(\d+)/);
-            if (match && match[1]) {
-              return parseInt(match[1]);
-            }
-            return 2; // If we can't extract the page number, assume at least 2 pages
-          }
-          return null;
-        });
+        let nextUrl = await getNextPageUrl(page, extractor);
         
-        if (hasNextLink) {
+        if (nextUrl) {
           // We found a next link, so we have at least 2 pages
           // Let's crawl up to 10 pages to find the last page
           let currentPage = 2;
-          let nextUrl = await page.evaluate(() => {
-            return document.querySelector('link[rel="next"]').getAttribute('href');
-          });
-          
-          // Convert relative URL to absolute
-          if (nextUrl.startsWith('/')) {
-            nextUrl = new URL(nextUrl, page.url()).href;
-          }
           
           console.log(`Found next page link to: ${nextUrl}`);
           
@@ -277,23 +404,12 @@ async function crawlCollection(page, collection) {
               await saveHtmlContent(page, `${collection.handle}_page${currentPage}.html`);
               
               // Check if there's a next link on this page
-              const hasMorePages = await page.evaluate(() => {
-                const nextLink = document.querySelector('link[rel="next"]');
-                if (nextLink) {
-                  return nextLink.getAttribute('href');
-                }
-                return null;
-              });
+              const hasMorePages = await getNextPageUrl(page, extractor);
               
               if (hasMorePages) {
                 currentPage++;
                 nextUrl = hasMorePages;
                 
-                // Convert relative URL to absolute
-                if (nextUrl.startsWith('/')) {
-                  nextUrl = new URL(nextUrl, page.url()).href;
-                }
-                
                 console.log(`Found another page: ${nextUrl}`);
               } else {
                 // No more pages, we reached the end
@@ -339,18 +455,14 @@ async function crawlCollection(page, collection) {
     };
     
     // Get collection title and description
-    collectionResult.title = await page.evaluate(() => {
-      return document.querySelector('h1, .collection-title, .collection-header h1')?.textContent.trim() || '';
-    });
-    
-    collectionResult.description = await page.evaluate(() => {
-      return document.querySelector('.collection-description, .collection__description')?.innerHTML.trim() || '';
-    });
+    const details = await getCollectionDetails(page, extractor);
+    collectionResult.title = details.title;
+    collectionResult.description = details.description;
     
-    // Track already crawled products to avoid duplicates
-    const crawledProducts = new Map();
+    // Product links in listing order, without duplicates
+    const productLinks = new Map();
     
-    // Crawl each page in this collection
+    // Walk each page in this collection
     for (let currentPage = 1; currentPage <= maxPages; currentPage++) {
       console.log(`Processing page ${currentPage}/${maxPages} of collection "${collection.handle}"`);
       
@@ -370,17 +482,7 @@ async function crawlCollection(page, collection) {
             console.log(`Navigation may have failed, current URL: ${currentUrl}`);
             
             // Try to find the correct link from pagination elements
-            const foundLink = await page.evaluate((targetPage) => {
-              // Check pagination links
-              const paginationLinks = Array.from(document.querySelectorAll('.pagination a, .pagination-wrapper a, [role="navigation"] a'));
-              for (const link of paginationLinks) {
-                if (link.textContent.trim() === targetPage.toString() || 
-                    link.href.includes(`page=${targetPage}`)) {
-                  return link.href;
-                }
-              }
-              return null;
-            }, currentPage);
+            const foundLink = await findPaginationLink(page, extractor, currentPage);
             
             if (foundLink) {
               console.log(`Found correct pagination link: ${foundLink}`);
@@ -395,554 +497,20 @@ async function crawlCollection(page, collection) {
         }
       }
       
-      // Get all product links on this page
-      const productLinks = await page.evaluate(() => {
-        return Array.from(document.querySelectorAll('a.product-card, a[href*="/products/"], [data-product-handle] a, .product-item a, .product-grid-item a, .product a, .collection-product a, .product__link, a[class*="product"], a[href*="product"]'))
-          .filter(link => link.href && (link.href.includes('/products/') || link.href.includes('product')))
-          .map(link => link.href);
-      });
-      
-      // Remove duplicates
-      const uniqueProductLinks = [...new Set(productLinks)];
+      // Get all product links on this page, without duplicates
+      const uniqueProductLinks = await getProductLinks(page, extractor);
       console.log(`Found ${uniqueProductLinks.length} products on page ${currentPage}`);
       
-      // Process each product
-      for (const [prodIndex, productUrl] of uniqueProductLinks.entries()) {
-        try {
-          // Extract product handle from URL to check if we've already crawled it
-          const productHandle = productUrl.split('/products/')[1]?.split('?')[0];
-          
-          if (crawledProducts.has(productHandle)) {
-            console.log(`Product "${productHandle}" already crawled, skipping...`);
-            continue;
-          }
-          
-          console.log(`Processing product ${prodIndex + 1}/${uniqueProductLinks.length}: ${productHandle}`);
-          
-          // Navigate to product page
-          await safeNavigate(page, productUrl);
-          console.log(`Successfully loaded product page`);
-          
-          // Extract product JSON from ProductJson-product-template script
-          const productJsonData = await page.evaluate(() => {
-            try {
-              // Look for the script tag with product JSON data
-              const scriptSelector = 'script#ProductJson-product-template, script#ProductJson-template, script[data-product-json]';
-              const scriptElement = document.querySelector(scriptSelector);
-              
-              if (scriptElement) {
-                // Parse the JSON content from the script tag
-                const productJson = JSON.parse(scriptElement.textContent);
-                return {
-                  productJson,
-                  found: true,
-                  source: 'product-template'
-                };
-              }
-              
-              // Try alternative methods if the standard script tag is not found
-              // Look for script tags with application/json type that might contain product data
-              const jsonScripts = Array.from(document.querySelectorAll('script[type="application/json"]'));
-              for (const script of jsonScripts) {
-                try {
-                  if (script.id && script.id.includes('Product')) {
-                    const data = JSON.parse(script.textContent);
-                    return {
-                      productJson: data,
-                      found: true,
-                      source: script.id
-                    };
-                  }
-                } catch (e) {
-                  // Continue to next script if parsing fails
-                }
-              }
-              
-              // Look for inline product data in other script tags
-              const allScripts = Array.from(document.querySelectorAll('script:not([src])'));
-              for (const script of allScripts) {
-                const content = script.textContent;
-                
-                // Try to find product JSON in various formats
-                if (content.includes('var product =') || 
-                    content.includes('window.product =') || 
-                    content.includes('Product =')) {
-                  
-                  try {
-                    // Extract product JSON from script content
-                    const productMatch = content.match(/var\s+product\s*=\s*({[\s\S]*?});/) || 
-                                       content.match(/window\.product\s*=\s*({[\s\S]*?});/) ||
-                                       content.match(/Product\s*=\s*({[\s\S]*?});/);
-                    
-                    if (productMatch && productMatch[1]) {
-                      // Clean the JSON string and parse it
-                      const productJsonStr = productMatch[1].replace(/'/g, '"');
-                      const productData = JSON.parse(productJsonStr);
-                      
-                      return {
-                        productJson: productData,
-                        found: true,
-                        source: 'script-variable'
-                      };
-                    }
-                  } catch (e) {
-                    // Continue if parsing fails
-                  }
-                }
-              }
-              
-              return {
-                found: false,
-                source: null
-              };
-            } catch (error) {
-              return {
-                found: false,
-                error: error.message
-              };
-            }
-          });
-          
-          // Log whether we found product JSON data
-          if (productJsonData.found) {
-            console.log(`Found product JSON data from source: ${productJsonData.source}`);
-            console.log(`Product has ${productJsonData.productJson.variants ? productJsonData.productJson.variants.length : 0} variants and ${productJsonData.productJson.images ? productJsonData.productJson.images.length : 0} images`);
-          } else {
-            console.log('No product JSON data found in script tags, falling back to DOM scraping');
-          }
-          
-          // Extract product details
-          const productData = await page.evaluate((productJsonData) => {
-            // Function to parse money values
-            const parseMoney = (moneyString) => {
-              if (!moneyString) return null;
-              // Remove currency symbols and whitespace, handle different formats
-              return parseFloat(moneyString.replace(/[^\d,.]/g, '')
-                .replace(/,(\d{2})$/, '.$1')  // Handle comma as decimal separator in some locales
-                .replace(/,/g, '')); // Remove thousands separators
-            };
-            
-            try {
-              // Initialize variables based on existing DOM content
-              let title, description, price, compareAtPrice, onSale, images, variants, options;
-              
-              // Use the productJson data if found
-              if (productJsonData && productJsonData.found && productJsonData.productJson) {
-                const productJson = productJsonData.productJson;
-                
-                // Basic product information from JSON
-                title = productJson.title || '';
-                description = productJson.description || '';
-                
-                // Price information - Shopify sometimes stores prices in cents
-                if (productJson.price_min !== undefined) {
-                  // Price is already in dollars format
-                  price = productJson.price_min / 100;
-                  compareAtPrice = productJson.compare_at_price_min ? productJson.compare_at_price_min / 100 : null;
-                } else if (productJson.price !== undefined) {
-                  // Handle case where price might be in cents
-                  if (productJson.price > 10000) {
-                    // Likely in cents
-                    price = productJson.price / 100;
-                    compareAtPrice = productJson.compare_at_price ? productJson.compare_at_price / 100 : null;
-                  } else {
-                    // Likely already in dollars
-                    price = productJson.price;
-                    compareAtPrice = productJson.compare_at_price || null;
-                  }
-                }
-                
-                // On sale status
-                onSale = compareAtPrice !== null && compareAtPrice > price;
-                
-                // Get all product images
-                if (productJson.images && Array.isArray(productJson.images)) {
-                  // Process image URLs
-                  images = productJson.images.map(img => {
-                    // Handle various image formats (string or object)
-                    let imageUrl;
-                    if (typeof img === 'string') {
-                      imageUrl = img;
-                    } else if (img.src) {
-                      imageUrl = img.src;
-                    } else {
-                      return null;
-                    }
-                    
-                    // Make relative URLs absolute
-                    if (!imageUrl.startsWith('http')) {
-                      imageUrl = new URL(imageUrl, window.location.origin).href;
-                    }
-                    
-                    // For Shopify CDN images, try to get high resolution
-                    if (imageUrl.includes('cdn.shopify.com')) {
-                      imageUrl = imageUrl.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
-                    }
-                    
-                    return imageUrl;
-                  }).filter(Boolean); // Remove null values
-                } else {
-                  images = [];
-                }
-                
-                // Get product options
-                if (productJson.options && Array.isArray(productJson.options)) {
-                  options = productJson.options.map(opt => {
-                    if (typeof opt === 'string') {
-                      // Handle case where options might be just strings
-                      return {
-                        name: opt,
-                        values: []
-                      };
-                    } else {
-                      // Handle object format with name and values
-                      return {
-                        name: opt.name,
-                        values: opt.values || []
-                      };
-                    }
-                  });
-                } else {
-                  options = [];
-                }
-                
-                // Process variants with images
-                if (productJson.variants && Array.isArray(productJson.variants)) {
-                  // Create a map of variant IDs to featured images
-                  const variantImageMap = new Map();
-                  
-                  // Map variant IDs to images
-                  if (productJson.images && Array.isArray(productJson.images)) {
-                    productJson.images.forEach(img => {
-                      if (img.variant_ids && Array.isArray(img.variant_ids)) {
-                        const imageUrl = img.src;
-                        // Make URL absolute and high-res
-                        let fullImageUrl = imageUrl;
-                        if (!fullImageUrl.startsWith('http')) {
-                          fullImageUrl = new URL(fullImageUrl, window.location.origin).href;
-                        }
-                        
-                        if (fullImageUrl.includes('cdn.shopify.com')) {
-                          fullImageUrl = fullImageUrl.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
-                        }
-                        
-                        // Map this image to all its variant IDs
-                        img.variant_ids.forEach(variantId => {
-                          variantImageMap.set(variantId.toString(), fullImageUrl);
-                        });
-                      }
-                    });
-                  }
-                  
-                  // Process all variants
-                  variants = productJson.variants.map(variant => {
-                    // Get price (handle if in cents)
-                    let variantPrice = variant.price;
-                    if (variantPrice > 10000) {
-                      variantPrice = variantPrice / 100;
-                    }
-                    
-                    // Get compare at price
-                    let variantComparePrice = variant.compare_at_price;
-                    if (variantComparePrice > 10000) {
-                      variantComparePrice = variantComparePrice / 100;
-                    }
-                    
-                    // Try to get variant image from different sources
-                    let variantImage = null;
-                    
-                    // Method 1: Check featured_image directly on variant
-                    if (variant.featured_image && variant.featured_image.src) {
-                      variantImage = variant.featured_image.src;
-                      
-                      // Make URL absolute and high-res
-                      if (!variantImage.startsWith('http')) {
-                        variantImage = new URL(variantImage, window.location.origin).href;
-                      }
-                      
-                      if (variantImage.includes('cdn.shopify.com')) {
-                        variantImage = variantImage.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
-                      }
-                    } 
-                    // Method 2: Check variant ID in the image map
-                    else if (variantImageMap.has(variant.id.toString())) {
-                      variantImage = variantImageMap.get(variant.id.toString());
-                    } 
-                    // Method 3: Fall back to product's first image
-                    else if (images && images.length > 0) {
-                      variantImage = images[0];
-                    }
-                    
-                    // Build variant object
-                    return {
-                      id: variant.id,
-                      title: variant.title,
-                      price: variantPrice || price,
-                      compareAtPrice: variantComparePrice || null,
-                      sku: variant.sku || '',
-                      available: variant.available !== undefined ? variant.available : (variant.inventory_quantity > 0),
-                      option1: variant.option1 || null,
-                      option2: variant.option2 || null,
-                      option3: variant.option3 || null,
-                      options: [variant.option1, variant.option2, variant.option3].filter(Boolean),
-                      image: variantImage
-                    };
-                  });
-                } else {
-                  variants = [];
-                }
-              }
-              
-              // If we didn't get data from JSON, fall back to DOM scraping
-              if (!title) {
-                // Collect all script tags for later use
-                const scriptTags = Array.from(document.querySelectorAll('script:not([src])'));
-                
-                // Basic product info
-                title = document.querySelector('h1, .product-title, .product__title')?.textContent.trim();
-                
-                // Get full description - try different selectors used by Shopify themes
-                description = document.querySelector('.product__description')?.innerHTML.trim() || 
-                             document.querySelector('.product-single__description')?.innerHTML.trim() || 
-                             document.querySelector('[data-product-description]')?.innerHTML.trim() ||
-                             document.querySelector('.product-description')?.innerHTML.trim() ||
-                             document.querySelector('#product-description')?.innerHTML.trim() ||
-                             document.querySelector('.description')?.innerHTML.trim() ||
-                             document.querySelector('[itemprop="description"]')?.innerHTML.trim();
-                
-                // Price information
-                price = null;
-                compareAtPrice = null;
-                onSale = false;
-                
-                // Try multiple selectors for price elements
-                const priceElement = document.querySelector('.price, .product__price, [data-product-price], .product-price, .price__current, .product-single__price, .price--item, [data-item="price"], [itemprop="price"]');
-                
-                if (priceElement) {
-                  // Remove hidden elements that might contain different prices
-                  const priceText = priceElement.textContent.trim();
-                  price = parseMoney(priceText);
-                  
-                  // Check for compare-at price (original price before discount)
-                  const compareAtEl = document.querySelector('.price--compare-at, .product__price--compare, [data-compare-price], .compare-at-price, .product-compare-price, .price__old, .price--on-sale .price__sale, .product-single__price--compare, [data-item="comparePrice"]');
-                                 
-                  if (compareAtEl) {
-                    const compareText = compareAtEl.textContent.trim();
-                    compareAtPrice = parseMoney(compareText);
-                    onSale = compareAtPrice > price;
-                  }
-                }
-                
-                // Get all product images with high resolution
-                images = [];
-                
-                // Try to get images from structured data first
-                const jsonLds = document.querySelectorAll('script[type="application/ld+json"]');
-                let foundImagesInJson = false;
-                
-                for (const jsonLd of jsonLds) {
-                  try {
-                    const data = JSON.parse(jsonLd.textContent);
-                    if (data && data['@type'] === 'Product' && data.image) {
-                      if (Array.isArray(data.image)) {
-                        // Process each image to ensure it's a full URL
-                        data.image.forEach(img => {
-                          if (typeof img === 'string') {
-                            // Ensure it's an absolute URL
-                            const fullUrl = new URL(img, window.location.origin).href;
-                            images.push(fullUrl);
-                          }
-                        });
-                      } else if (typeof data.image === 'string') {
-                        // Ensure it's an absolute URL
-                        const fullUrl = new URL(data.image, window.location.origin).href;
-                        images.push(fullUrl);
-                      }
-                      foundImagesInJson = true;
-                      break;
-                    }
-                  } catch (e) {
-                    // Continue if JSON parsing fails
-                  }
-                }
-                
-                // If no images found in JSON-LD, try DOM
-                if (!foundImagesInJson || images.length === 0) {
-                  // Look for image elements
-                  const imageSelectors = `
-                    .product__media img, .product-single__media img, .product-image, .product__image, 
-                    [data-product-image], .product-featured-img, .product-gallery__image img, 
-                    .product-single__photo img, #ProductPhotoImg, .product-main-image, 
-                    [data-zoom-image], .slick-slide img, .product__slide img, .swiper-slide img,
-                    img[itemprop="image"], .fotorama__img, .product-gallery__image, 
-                    .product-image-main img, .product_image img
-                  `;
-                  
-                  const imageElements = document.querySelectorAll(imageSelectors);
-                  
-                  imageElements.forEach(img => {
-                    // Try multiple sources for the image URL
-                    let src = img.getAttribute('src') || 
-                             img.getAttribute('data-src') || 
-                             img.getAttribute('data-zoom-image') || 
-                             img.getAttribute('data-full-resolution') || 
-                             img.getAttribute('data-image') || 
-                             img.getAttribute('data-zoom-src') || '';
-                    
-                    // For empty src but backgroundImage style
-                    if (!src && img.style && img.style.backgroundImage) {
-                      const bgMatch = img.style.backgroundImage.match(/url\(['"]?(.*?)['"]?\)/);
-                      if (bgMatch && bgMatch[1]) {
-                        src = bgMatch[1];
-                      }
-                    }
-                    
-                    // Skip if still no src
-                    if (!src) return;
-                    
-                    // Make relative URLs absolute
-                    if (src && !src.startsWith('http')) {
-                      src = new URL(src, window.location.origin).href;
-                    }
-                    
-                    // Try to get high resolution version
-                    if (src.includes('_small') || src.includes('_medium') || src.includes('_large')) {
-                      src = src.replace(/_(?:small|medium|large|compact|grande)\./, '.');
-                    }
-                    
-                    // For Shopify CDN images, try to get the largest version
-                    if (src.includes('cdn.shopify.com')) {
-                      // Replace size parameter with 2048x2048 for high resolution
-                      src = src.replace(/_(pico|icon|thumb|small|compact|medium|large|grande|original)_/, '_2048x2048_');
-                    }
-                    
-                    if (src && !images.includes(src)) {
-                      images.push(src);
-                    }
-                  });
-                }
-                
-                // Extract variants from DOM if not already set from JSON
-                if (!variants || variants.length === 0) {
-                  // Try to get variants from product form
-                  const variantElements = document.querySelectorAll('.product-form__option, .single-option-selector, select[data-option], .swatch, [data-product-variants], .product-options, .js-product-options');
-                  
-                  if (variantElements.length > 0) {
-                    options = Array.from(variantElements).map(el => {
-                      const optionName = el.getAttribute('data-option-name') || 
-                                       el.getAttribute('data-option') ||
-                                       el.querySelector('label')?.textContent.trim() || 
-                                       'Option';
-                                       
-                      const optionValues = Array.from(el.querySelectorAll('input, option, .swatch-element, [data-value]'))
-                        .map(input => input.value || input.getAttribute('data-value') || input.textContent.trim())
-                        .filter(v => v);
-                        
-                      return {
-                        name: optionName,
-                        values: optionValues
-                      };
-                    });
-                    
-                    // If we have option data but no variants, create basic variant objects
-                    if (options.length > 0) {
-                      // For simplicity, just create a dummy variant since we don't have accurate price data for each combination
-                      variants = [{
-                        title: 'Default Title',
-                        price: price,
-                        compareAtPrice: compareAtPrice,
-                        available: true,
-                        options: options,
-                        // Add default image to the variant
-                        image: images && images.length > 0 ? images[0] : null
-                      }];
-                    }
-                  } else {
-                    // Add a default variant
-                    variants = [{
-                      title: 'Default Title',
-                      price: price,
-                      compareAtPrice: compareAtPrice,
-                      available: true,
-                      // Add default image to the variant
-                      image: images && images.length > 0 ? images[0] : null
-                    }];
-                  }
-                }
-              }
-              
-              // Get product type and vendor
-              const productType = document.querySelector('.product-type, [itemprop="category"]')?.textContent.trim() || null;
-              
-              const vendor = document.querySelector('.product__vendor, .product-single__vendor, .vendor, [itemprop="brand"]')?.textContent.trim() || null;
-              
-              // Get breadcrumbs for categories
-              const breadcrumbs = Array.from(document.querySelectorAll('.breadcrumb, .breadcrumbs, nav[aria-label="breadcrumb"] li, .breadcrumb__item, .breadcrumb-item'))
-                .map(crumb => crumb.textContent.trim())
-                .filter(text => text && !text.includes('Home') && !text.includes(title));
-              
-              // Get product handle from URL
-              const url = window.location.href;
-              const handle = url.split('/products/')[1]?.split('?')[0] || '';
-              
-              // Tags
-              const tags = Array.from(document.querySelectorAll('.product-tag, .tag'))
-                .map(tag => tag.textContent.trim());
-                
-              // Meta keywords can sometimes have tags/categories
-              const metaKeywords = document.querySelector('meta[name="keywords"]')?.getAttribute('content')?.split(',').map(k => k.trim()) || [];
-              
-              // Determine sale status from page elements if compareAtPrice is null
-              const hasSaleBadge = !!document.querySelector('.sale-badge, .on-sale, .price--on-sale, .price--sale, .product-tag--sale, .price-sale');
-              
-              return {
-                url,
-                handle,
-                title,
-                description,
-                price,
-                compareAtPrice,
-                onSale: onSale || hasSaleBadge,
-                images,
-                variants,
-                options,
-                productType,
-                vendor,
-                breadcrumbs,
-                tags: [...tags, ...metaKeywords]
-              };
-            } catch (error) {
-              return { error: error.message, trace: error.stack };
-            }
-          }, productJsonData);
-          
-          if (productData.error) {
-            console.error(`Error extracting data for ${productUrl}: ${productData.error}`);
-            if (productData.trace) {
-              console.error(`Stack trace: ${productData.trace}`);
-            }
-          } else {
-            // Add to collection result
-            collectionResult.products.push(productData);
-            
-            // Mark this product as crawled
-            crawledProducts.set(productData.handle, true);
-            
-            // Increment counter
-            collectionResult.totalProducts = collectionResult.products.length;
-            
-            console.log(`Successfully extracted data for ${productData.title} (${productData.handle})`);
-          }
-          
-          // Add a small delay between requests to avoid overloading the server
-          await new Promise(resolve => setTimeout(resolve, argv.delay));
-          
-        } catch (error) {
-          console.error(`Error processing product: ${error.message}`);
+      for (const productUrl of uniqueProductLinks) {
+        const productHandle = productUrl.split('/products/')[1]?.split('?')[0];
+        if (productHandle && !productLinks.has(productHandle)) {
+          productLinks.set(productHandle, productUrl);
         }
       }
     }
     
+    collectionResult.productLinks = [...productLinks.entries()].map(([handle, url]) => ({ handle, url }));
+    
     return collectionResult;
   } catch (error) {
     console.error(`Error crawling collection ${collection.handle}: ${error.message}`);
@@ -950,15 +518,308 @@ async function crawlCollection(page, collection) {
       handle: collection.handle,
       url: collection.url,
       error: error.message,
-      products: []
+      products: [],
+      productLinks: []
     };
   }
 }
 
+/**
+ * Crawl product URLs from the products sitemap directly, skipping products whose
+ * lastmod matches the previous snapshot. Products missing from the sitemap are dropped
+ * from the snapshot only when `sitemapComplete` says every sitemap was read.
+ */
+async function crawlProductsFromSitemap(pages, productEntries, crawlState, { sitemapComplete = true } = {}) {
+  const snapshotFile = path.join(argv['output-dir'], 'products.json');
+  
+  // Load the previous snapshot, keyed by handle
+  const snapshot = new Map();
+  if (await fs.pathExists(snapshotFile)) {
+    try {
+      const previous = await fs.readJSON(snapshotFile);
+      (previous.products || []).forEach(product => snapshot.set(product.handle, product));
+      console.log(`Loaded ${snapshot.size} products from previous snapshot ${snapshotFile}`);
+    } catch (error) {
+      console.error(`Error reading previous snapshot: ${error.message}`);
+    }
+  }
+  
+  const entries = productEntries.filter(entry => entry.handle);
+  const batch = selectBatch(entries);
+  const stats = { total: entries.length, crawled: 0, unchanged: 0, resumed: 0, failed: 0 };
+  
+  const buildResult = () => ({
+    sitemap: argv.sitemap,
+    crawledAt: new Date().toISOString(),
+    stats,
+    products: [...snapshot.values()],
+    totalProducts: snapshot.size
+  });
+  
+  // Queue every new or changed product on the shared frontier
+  const frontier = createFrontier();
+  for (const [index, entry] of batch.entries()) {
+    const key = `product:${entry.handle}`;
+    const previous = snapshot.get(entry.handle);
+    
+    if (argv.incremental && previous && entry.lastmod && previous.lastmod === entry.lastmod) {
+      stats.unchanged++;
+      continue;
+    }
+    
+    // Finished by an interrupted run that didn't get to save the snapshot
+    if (crawlState.isDone(key) && crawlState.get(key).lastmod === (entry.lastmod || null)) {
+      const saved = await crawlState.loadProduct(entry.handle);
+      if (saved) {
+        snapshot.set(entry.handle, saved);
+        stats.resumed++;
+        continue;
+      }
+    }
+    
+    await crawlState.mark(key, 'pending', { url: entry.url, lastmod: entry.lastmod || null });
+    frontier.push({ index, entry });
+  }
+  
+  console.log(`\n=== CRAWLING ${frontier.size} PRODUCTS FROM SITEMAP (${stats.unchanged} unchanged, ${stats.resumed} resumed) WITH ${pages.length} PAGES ===`);
+  
+  await runWorkerPool(pages, frontier, async ({ index, entry }, page, workerIndex) => {
+    const key = `product:${entry.handle}`;
+    console.log(`[worker ${workerIndex + 1}] Processing product ${argv.start + index + 1}/${entries.length}: ${entry.handle}`);
+    
+    try {
+      const productData = await crawlProduct(page, entry.url);
+      
+      if (productData) {
+        productData.lastmod = entry.lastmod || null;
+        snapshot.set(entry.handle, productData);
+        await crawlState.saveProduct(entry.handle, productData);
+        await crawlState.mark(key, 'done');
+        stats.crawled++;
+        console.log(`Successfully extracted data for ${productData.title} (${productData.handle})`);
+      } else {
+        // Keep the previous copy (if any) so a failed fetch doesn't drop the product
+        await crawlState.mark(key, 'failed', { error: 'No product data extracted' });
+        stats.failed++;
+      }
+    } catch (error) {
+      await crawlState.mark(key, 'failed', { error: error.message });
+      stats.failed++;
+      console.error(`Error processing product: ${error.message}`);
+    }
+    
+    if ((stats.crawled + stats.failed) % argv['save-interval'] === 0) {
+      await saveToJson(buildResult(), snapshotFile);
+    }
+    
+    // Add a small delay between requests to avoid overloading the server
+    await new Promise(resolve => setTimeout(resolve, argv.delay));
+  });
+  
+  // Drop products that are no longer listed in the sitemap, unless part of it didn't load
+  if (sitemapComplete) {
+    const listedHandles = new Set(entries.map(entry => entry.handle));
+    for (const handle of snapshot.keys()) {
+      if (!listedHandles.has(handle)) {
+        snapshot.delete(handle);
+      }
+    }
+  } else {
+    console.log('Some sitemaps could not be read, keeping products that are missing from this run\'s entries');
+  }
+  
+  await saveToJson(buildResult(), snapshotFile);
+  
+  console.log(`\n=== CRAWLING COMPLETED ===`);
+  console.log(`Crawled: ${stats.crawled}, unchanged (skipped): ${stats.unchanged}, resumed: ${stats.resumed}, failed: ${stats.failed}`);
+}
+
+/**
+ * Crawl collections on a pool of pages. Collection listing pages and product pages share
+ * one frontier; each product is crawled once and reused by every collection that lists it.
+ * A collection's products go to the front of the frontier so it is finished and saved
+ * before the workers move on to the next collection listing.
+ */
+async function crawlCollections(pages, collections, crawlState) {
+  const frontier = createFrontier();
+  
+  // Product handle -> promise of its extracted data, shared across workers
+  const productCache = new Map();
+  
+  collections.forEach((collection, index) => {
+    // Skip collections without a handle
+    if (!collection.handle) {
+      console.log(`Skipping collection with no handle: ${collection.url}`);
+      return;
+    }
+    frontier.push({ type: 'collection', index, collection });
+  });
+  
+  /**
+   * Save a collection once its last product has been crawled
+   */
+  const finishCollection = async (state) => {
+    const { collectionResult, products } = state;
+    delete collectionResult.productLinks;
+    delete collectionResult.resumed;
+    collectionResult.products = products.filter(Boolean);
+    collectionResult.totalProducts = collectionResult.products.length;
+    
+    // Output file path for this collection
+    const outputFile = path.join(argv['output-dir'], `${collectionResult.handle}.json`);
+    
+    // Save collection data to file
+    await saveToJson(collectionResult, outputFile);
+    
+    console.log(`Saved ${collectionResult.products.length} products for collection "${collectionResult.handle}" to ${outputFile}`);
+    
+    await crawlState.mark(`collection:${collectionResult.handle}`, collectionResult.error ? 'failed' : 'done', {
+      productCount: collectionResult.totalProducts,
+      error: collectionResult.error
+    });
+  };
+  
+  /**
+   * Crawl a product once, or reuse the copy checkpointed by an earlier run
+   */
+  const fetchProduct = async (page, link) => {
+    const key = `product:${link.handle}`;
+    
+    if (crawlState.isDone(key)) {
+      const saved = await crawlState.loadProduct(link.handle);
+      if (saved) {
+        console.log(`Product "${link.handle}" already crawled in a previous run, reusing data`);
+        return saved;
+      }
+    }
+    
+    try {
+      const productData = await crawlProduct(page, link.url);
+      
+      if (productData) {
+        await crawlState.saveProduct(link.handle, productData);
+        await crawlState.mark(key, 'done', { url: link.url });
+        console.log(`Successfully extracted data for ${productData.title} (${productData.handle})`);
+      } else {
+        await crawlState.mark(key, 'failed', { url: link.url, error: 'No product data extracted' });
+      }
+      
+      // Add a small delay between requests to avoid overloading the server
+      await new Promise(resolve => setTimeout(resolve, argv.delay));
+      
+      return productData;
+    } catch (error) {
+      console.error(`Error processing product: ${error.message}`);
+      await crawlState.mark(key, 'failed', { url: link.url, error: error.message });
+      return null;
+    }
+  };
+  
+  await runWorkerPool(pages, frontier, async (task, page, workerIndex) => {
+    if (task.type === 'collection') {
+      const { collection, index } = task;
+      const key = `collection:${collection.handle}`;
+      
+      if (crawlState.isDone(key)) {
+        console.log(`Collection "${collection.handle}" already crawled, skipping...`);
+        return;
+      }
+      
+      console.log(`\n[worker ${workerIndex + 1}] Processing collection ${argv.start + index + 1}/${argv.start + collections.length}: ${collection.handle}`);
+      
+      // Reuse the product links an interrupted run already discovered
+      const savedState = crawlState.get(key);
+      let collectionResult;
+      if (savedState && savedState.status === 'pending' && savedState.collectionResult) {
+        console.log(`Resuming collection "${collection.handle}" with ${savedState.collectionResult.productLinks.length} known products`);
+        collectionResult = { ...savedState.collectionResult, products: [], resumed: true };
+      } else {
+        collectionResult = await discoverCollection(page, collection);
+        
+        if (!collectionResult.error) {
+          // Checkpoint the discovered links and mark each product pending
+          await crawlState.mark(key, 'pending', {
+            url: collection.url,
+            collectionResult: { ...collectionResult, products: undefined }
+          });
+          for (const link of collectionResult.productLinks) {
+            if (!crawlState.get(`product:${link.handle}`)) {
+              await crawlState.mark(`product:${link.handle}`, 'pending', { url: link.url });
+            }
+          }
+        }
+      }
+      
+      const state = {
+        collectionResult,
+        products: new Array(collectionResult.productLinks.length).fill(null),
+        pending: collectionResult.productLinks.length
+      };
+      
+      if (state.pending === 0) {
+        await finishCollection(state);
+        return;
+      }
+      
+      frontier.pushFront(collectionResult.productLinks.map((link, position) => ({ type: 'product', state, position, link })));
+      return;
+    }
+    
+    const { state, position, link } = task;
+    
+    try {
+      // Deduplicate across workers: the first worker to see a handle crawls it, others wait for it
+      if (!productCache.has(link.handle)) {
+        console.log(`[worker ${workerIndex + 1}] Processing product: ${link.handle}`);
+        productCache.set(link.handle, fetchProduct(page, link));
+      } else {
+        console.log(`Product "${link.handle}" already crawled, reusing data`);
+      }
+      
+      state.products[position] = await productCache.get(link.handle);
+    } finally {
+      state.pending--;
+      if (state.pending === 0) {
+        await finishCollection(state);
+      }
+    }
+  });
+}
+
+/**
+ * Open a crawler page with timeouts, user agent and resource blocking set up
+ */
+async function createPage(browser) {
+  const context = argv['isolate-contexts'] ? await browser.createIncognitoBrowserContext() : browser;
+  const page = await context.newPage();
+  
+  // Set longer timeouts
+  page.setDefaultNavigationTimeout(argv.timeout);
+  page.setDefaultTimeout(argv.timeout);
+  
+  // Set user agent to avoid being detected as a bot
+  await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+  
+  // Block unnecessary resources to speed up crawling
+  await page.setRequestInterception(true);
+  page.on('request', (req) => {
+    const resourceType = req.resourceType();
+    if (resourceType === 'font' || resourceType === 'media' || 
+        (resourceType === 'image' && !req.url().includes('cdn.shopify.com'))) {
+      req.abort();
+    } else {
+      req.continue();
+    }
+  });
+  
+  return page;
+}
+
 /**
  * Main function to run the crawler
  */
 async function crawlCollectionsFromSitemap() {
+  const startedAt = new Date().toISOString();
   const browser = await puppeteer.launch({
     headless: false,
     args: [
@@ -973,31 +834,50 @@ async function crawlCollectionsFromSitemap() {
   });
   
   try {
-    const page = await browser.newPage();
+    // One page per worker in the pool
+    const pages = [];
+    for (let i = 0; i < Math.max(1, argv.concurrency); i++) {
+      pages.push(await createPage(browser));
+    }
     
-    // Set longer timeouts
-    page.setDefaultNavigationTimeout(argv.timeout);
-    page.setDefaultTimeout(argv.timeout);
+    console.log(`\n=== INITIALIZING CRAWLER ===`);
     
-    // Set user agent to avoid being detected as a bot
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    // Parse sitemap and route its entries by type
+    const sitemapEntries = await loadSitemapEntries(argv.sitemap);
     
-    // Block unnecessary resources to speed up crawling
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-      const resourceType = req.resourceType();
-      if (resourceType === 'font' || resourceType === 'media' || 
-          (resourceType === 'image' && !req.url().includes('cdn.shopify.com'))) {
-        req.abort();
-      } else {
-        req.continue();
+    // Create output directory if it doesn't exist
+    await fs.ensureDir(argv['output-dir']);
+    
+    // Save every discovered sitemap entry, routed by type
+    await saveToJson({
+      sitemap: argv.sitemap,
+      parsedAt: new Date().toISOString(),
+      counts: Object.fromEntries(Object.entries(sitemapEntries).map(([type, entries]) => [type, entries.length])),
+      ...sitemapEntries
+    }, path.join(argv['output-dir'], 'sitemap_entries.json'));
+    
+    // Persistent per-URL crawl state, used to resume an interrupted run
+    const crawlState = await openCrawlState(argv['output-dir'], { fresh: !argv.resume });
+    
+    // Fingerprint the store's theme on its home page before crawling, so every page is read with the same extractor
+    const storeEntry = sitemapEntries.collections[0] || sitemapEntries.products[0];
+    if (storeEntry && !argv.extractor) {
+      console.log(`\n=== DETECTING STORE THEME ===`);
+      try {
+        await safeNavigate(pages[0], new URL(storeEntry.url).origin);
+        await themeExtractor.resolve(pages[0]);
+      } catch (error) {
+        console.log(`Could not load the home page (${error.message}), detecting the theme on the first crawled page instead`);
       }
-    });
+    }
     
-    console.log(`\n=== INITIALIZING CRAWLER ===`);
+    if (argv.mode === 'products') {
+      await crawlProductsFromSitemap(pages, sitemapEntries.products, crawlState, { sitemapComplete: sitemapEntries.failed.length === 0 });
+      await crawlState.finish();
+      return;
+    }
     
-    // Parse sitemap to get collections
-    let collections = await parseSitemap(argv.sitemap);
+    let collections = sitemapEntries.collections;
     
     if (argv['debug-collection']) {
       console.log(`Debug mode: Only crawling collection "${argv['debug-collection']}"`);
@@ -1009,9 +889,6 @@ async function crawlCollectionsFromSitemap() {
       return;
     }
     
-    // Create output directory if it doesn't exist
-    await fs.ensureDir(argv['output-dir']);
-    
     // Save all collections metadata
     const collectionsData = {
       totalCollections: collections.length,
@@ -1025,42 +902,32 @@ async function crawlCollectionsFromSitemap() {
     
     await saveToJson(collectionsData, path.join(argv['output-dir'], 'collections_metadata.json'));
     
+    collections = selectBatch(collections);
+    
     // Crawl each collection
-    console.log(`\n=== CRAWLING ${collections.length} COLLECTIONS ===`);
+    console.log(`\n=== CRAWLING ${collections.length} COLLECTIONS WITH ${pages.length} PAGES ===`);
     
-    for (const [index, collection] of collections.entries()) {
-      console.log(`\nProcessing collection ${index + 1}/${collections.length}: ${collection.handle}`);
-      
-      // Skip collections without a handle
-      if (!collection.handle) {
-        console.log(`Skipping collection with no handle: ${collection.url}`);
-        continue;
-      }
-      
-      try {
-        // Crawl collection products
-        const collectionData = await crawlCollection(page, collection);
-        
-        // Output file path for this collection
-        const outputFile = path.join(argv['output-dir'], `${collection.handle}.json`);
-        
-        // Save collection data to file
-        await saveToJson(collectionData, outputFile);
-        
-        console.log(`Saved ${collectionData.products.length} products for collection "${collection.handle}" to ${outputFile}`);
-      } catch (error) {
-        console.error(`Error processing collection ${collection.handle}: ${error.message}`);
-      }
-      
-      // Small delay between collections
-      await new Promise(resolve => setTimeout(resolve, argv.delay * 2));
-    }
+    await crawlCollections(pages, collections, crawlState);
     
     console.log(`\n=== CRAWLING COMPLETED ===`);
+    console.log('Crawl state:', JSON.stringify(crawlState.summary()));
+    
+    // The run is complete; the next one starts fresh instead of skipping everything done here
+    await crawlState.finish();
     
   } catch (error) {
     console.error('Crawling failed:', error);
   } finally {
+    // Record the run, including any throttling the store applied
+    await saveToJson({
+      mode: argv.mode,
+      sitemap: argv.sitemap,
+      startedAt,
+      completedAt: new Date().toISOString(),
+      theme: themeExtractor.getDetection(),
+      throttle: rateLimiter.getSummary()
+    }, path.join(argv['output-dir'], 'run_log.json'));
+    
     await browser.close();
   }
 }